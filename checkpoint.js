@@ -0,0 +1,65 @@
+const { createHash } = require('crypto');
+const { existsSync, readFileSync, renameSync, writeFileSync } = require('fs');
+
+const STATE_VERSION = 5;
+
+/**
+ * Identifies the scan a state file belongs to, so a resume can't mix results from different
+ * devices, bad ranges or options.
+ */
+const scanFingerprint = options => createHash('sha256')
+    .update(JSON.stringify(options))
+    .digest('hex');
+
+/**
+ * Load the scan state saved in `path`, or return null if there is none yet.
+ * The state is { phase, visited: Set of inode numbers, pending: [{ path, inode, orphan }],
+ * orphans: [{ path, inode }], linked: Map of inode number to { links, finding }, or { names }
+ * while it is still being checked, owners: { [inode]: { type, paths, extents } }, findings: [],
+ * tally: { dirs, kinds } or null }.
+ */
+const loadState = (path, fingerprint) => {
+    if (!existsSync(path)) return null;
+    const saved = JSON.parse(readFileSync(path, 'utf-8'));
+    if (saved.version !== STATE_VERSION) throw new Error(`State file ${path} has unsupported version ${saved.version}`);
+    if (saved.fingerprint !== fingerprint) {
+        throw new Error(`State file ${path} was saved by a scan of a different device, mapfile or options; delete it to start over`);
+    }
+    return {
+        phase: saved.phase,
+        visited: new Set(saved.visited),
+        pending: saved.pending,
+        orphans: saved.orphans,
+        linked: new Map(saved.linked),
+        owners: saved.owners,
+        findings: saved.findings,
+        tally: saved.tally,
+    };
+};
+
+/**
+ * Save the scan state to `path`. The file is replaced atomically, so an interruption while
+ * saving leaves the previous checkpoint intact.
+ */
+const saveState = (path, fingerprint, state) => {
+    const tmp = `${path}.tmp`;
+    writeFileSync(tmp, JSON.stringify({
+        version: STATE_VERSION,
+        fingerprint,
+        phase: state.phase,
+        visited: [...state.visited],
+        pending: state.pending,
+        orphans: state.orphans,
+        linked: [...state.linked],
+        owners: state.owners,
+        findings: state.findings,
+        tally: state.tally,
+    }));
+    renameSync(tmp, path);
+};
+
+module.exports = {
+    scanFingerprint,
+    loadState,
+    saveState,
+};
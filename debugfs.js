@@ -0,0 +1,237 @@
+const { Shell, SessionError } = require('./shell');
+const { UnreadableMetadataError, locateSuperblock, makeGeometry } = require('./ext');
+
+const parseHexRegex = /^([0-7]{4,})  (\w\w\w\w) (\w\w\w\w) (\w\w\w\w) (\w\w\w\w) (\w\w\w\w) (\w\w\w\w) (\w\w\w\w) (\w\w\w\w)/;
+
+// Get this with the "id" debugfs command
+const parseHex = (size, hex) => {
+    const buffer = Buffer.alloc(size);
+    // A "*" line stands for repeats of the line before it, up to the next line shown
+    const repeat = (from, to) => {
+        for (let position = from + 16; position + 16 <= to; position += 16) buffer.copy(buffer, position, from, from + 16);
+    };
+    let lastStart = null;
+    let repeating = false;
+
+    for (const line of hex.split(/\r?\n/)) {
+        if (line.trim() === '*') {
+            repeating = lastStart != null;
+            continue;
+        }
+        const match = parseHexRegex.exec(line);
+        if (!match) continue;
+        const start = parseInt(match[1], 8);
+        if (repeating) repeat(lastStart, start);
+        repeating = false;
+        for (let i = 0; i < 16; i++) {
+            buffer[start + i] = parseInt(match[Math.floor(i / 2) + 2].substr((i % 2) * 2, 2), 16);
+        }
+        lastStart = start;
+    }
+    if (repeating) repeat(lastStart, size);
+
+    return buffer;
+};
+
+const dirEntryRegex = /^\/(\d+)\/\d+\/\d+\/\d+\/([^\/]+)/gm;
+
+const DEFAULT_COMMAND_TIMEOUT_MS = 60 * 1000;
+// Tries of a command, restarting debugfs in between, before giving up on what it reads
+const COMMAND_ATTEMPTS = 3;
+
+/**
+ * Reads an ext2/3/4 filesystem by driving an interactive debugfs session.
+ * Commands that time out or make debugfs exit are retried in a new session.
+ */
+class DebugfsBackend {
+    #target;
+    // The backup superblock debugfs is told to use, if the primary one or its descriptors are damaged
+    #superblock = null;
+    #timeout;
+    #signal;
+    #log;
+    #session;
+    #queue = Promise.resolve();
+    // What debugfs printed for the last command, to show when its output makes no sense
+    #lastResponse = null;
+    #geometry;
+    #commandCount = 0;
+
+    /**
+     * `offset` is where the filesystem starts within `device`, in bytes.
+     * `timeout` is how long a command may take, in milliseconds, before debugfs is restarted.
+     * Aborting `signal` kills debugfs right away.
+     * `rangeIsSafe(start, end)` tells whether a byte range of the filesystem is outside the bad
+     * regions, so a backup superblock can be used if the primary one or its group descriptors aren't.
+     * `log` is called with a message when debugfs is restarted.
+     */
+    static async open(device, { offset = 0, timeout = DEFAULT_COMMAND_TIMEOUT_MS, signal, rangeIsSafe, log = console.error } = {}) {
+        const backend = new DebugfsBackend();
+        // The unix I/O manager takes options after a "?"
+        backend.#target = offset ? `${device}?offset=${offset}` : device;
+        // debugfs reads the group descriptors that follow the superblock it is given
+        const copy = await locateSuperblock(device, offset, rangeIsSafe, { withDescriptors: true });
+        if (copy?.group) backend.#superblock = copy;
+        backend.#timeout = timeout;
+        backend.#signal = signal;
+        backend.#log = log;
+        await backend.#start();
+        return backend;
+    }
+
+    async #start() {
+        const superblock = this.#superblock ? ['-s', `${this.#superblock.block}`, '-b', `${this.#superblock.fields.blockSize}`] : [];
+        // debugfs gets its own process group, so Ctrl-C in the terminal doesn't kill it before
+        // the scan has stopped and saved its progress; aborting the signal does
+        this.#session = await new Shell().session('debugfs', '-c', ...superblock, this.#target, {
+            prompt: 'debugfs:',
+            // It repeats each command when its input isn't a terminal
+            echo: true,
+            timeout: this.#timeout,
+            abortSignal: this.#signal,
+        });
+    }
+
+    async #runWithRetries(cmd) {
+        for (let attempt = 1; ; attempt++) {
+            if (this.#signal?.aborted) throw new Error('Aborted');
+            try {
+                // After a failed restart there is no session yet
+                if (!this.#session) await this.#start();
+                return await this.#session.run(cmd);
+            }
+            catch (err) {
+                if (!(err instanceof SessionError)) throw err;
+                this.#log(`debugfs ${err.message}, restarting it`);
+                // One that hung has been killed, and one that crashed is gone anyway
+                await this.#session?.close().catch(() => {});
+                this.#session = null;
+                if (attempt === COMMAND_ATTEMPTS) throw new UnreadableMetadataError(`debugfs failed ${COMMAND_ATTEMPTS} times on "${cmd}"`);
+            }
+        }
+    }
+
+    async debugfsCmd(cmd) {
+        // One command at a time, so a restart only ever has one to retry
+        const run = this.#queue.then(() => this.#runWithRetries(cmd));
+        this.#queue = run.catch(() => {});
+        this.#lastResponse = await run;
+        this.#commandCount++;
+        return this.#lastResponse.stdout;
+    }
+
+    /**
+     * Read the filesystem geometry from the output of the debugfs "stats" command.
+     */
+    async getGeometry() {
+        const result = await this.debugfsCmd('stats');
+        if (!result.includes('Filesystem features')) {
+            throw new Error(`Unexpected response from debugfs: ${JSON.stringify(this.#lastResponse.stdout)}, with ${JSON.stringify(this.#lastResponse.stderr)} on stderr`);
+        }
+
+        const field = (name, defaultValue) => {
+            const match = result.match(new RegExp(`^${name}:\\s*(.*?)\\s*$`, 'm'));
+            if (match) return match[1];
+            if (defaultValue === undefined) throw new Error(`debugfs stats did not report "${name}"`);
+            return defaultValue;
+        };
+
+        const blockSize = +field('Block size');
+        const inodesPerGroup = +field('Inodes per group');
+        const startOfInodeTableByGroup = new Map();
+        const initializedInodesByGroup = new Map();
+        const blockBitmapByGroup = new Map();
+        const blockBitmapInitByGroup = new Map();
+        const inodeBitmapByGroup = new Map();
+        // Each group is a line with its bitmaps and inode table, then lines with its counts and flags
+        const regex = /Group +(\d+): block bitmap at (\d+)[^\n\r]* inode bitmap at (\d+)[^\n\r]* inode table at (\d+)((?:\r?\n {2,}[^\n\r]*)*)/g;
+        let match;
+        while ((match = regex.exec(result))) {
+            const group = +match[1];
+            blockBitmapByGroup.set(group, +match[2]);
+            inodeBitmapByGroup.set(group, +match[3]);
+            startOfInodeTableByGroup.set(group, blockSize * +match[4]);
+            // Only reported when the group descriptors have checksums
+            const unused = match[5].match(/(\d+) unused inodes/);
+            const uninit = /Inode not init/.test(match[5]);
+            initializedInodesByGroup.set(group, uninit ? 0 : unused ? inodesPerGroup - +unused[1] : inodesPerGroup);
+            blockBitmapInitByGroup.set(group, !/Block not init/.test(match[5]));
+        }
+
+        this.#geometry = makeGeometry({
+            blockSize,
+            blockCount: +field('Block count'),
+            blocksPerGroup: +field('Blocks per group'),
+            firstDataBlock: +field('First block'),
+            inodeCount: +field('Inode count'),
+            freeInodes: +field('Free inodes'),
+            inodesPerGroup,
+            // Revision 0 filesystems don't report these, they always use 128 byte inodes and reserve the first 10
+            inodeSize: +field('Inode size', '128'),
+            firstInode: +field('First inode', '11'),
+            // Only reported for 64bit filesystems
+            descSize: +field('Group descriptor size', '32'),
+            firstMetaBg: +field('First meta block group', '0'),
+            reservedGdtBlocks: +field('Reserved GDT blocks', '0'),
+            journalInode: +field('Journal inode', '0'),
+            backupGroups: field('Backup block groups', '0 0').split(/\s+/).map(Number),
+            superblockGroup: this.#superblock?.group ?? 0,
+            backupDescriptorGroups: this.#superblock ? [this.#superblock.group] : [],
+            features: new Set(field('Filesystem features').split(/\s+/).filter(f => f && f !== '(none)')),
+            startOfInodeTableByGroup,
+            initializedInodesByGroup,
+            blockBitmapByGroup,
+            blockBitmapInitByGroup,
+            inodeBitmapByGroup,
+        });
+        return this.#geometry;
+    }
+
+    // How many debugfs commands have been answered, for progress reports
+    get requestCount() {
+        return this.#commandCount;
+    }
+
+    // Instead of a dump, debugfs only complains on stderr about a block past the end of the device
+    async #dump(size, cmd) {
+        const hex = await this.debugfsCmd(cmd);
+        if (!hex.split(/\r?\n/).some(line => parseHexRegex.test(line))) throw new UnreadableMetadataError(`debugfs printed nothing for "${cmd}"`);
+        return parseHex(size, hex);
+    }
+
+    async readInode(inode) {
+        return await this.#dump(this.#geometry.inodeSize, `id <${inode}>`);
+    }
+
+    async readBlock(blockNum) {
+        return await this.#dump(this.#geometry.blockSize, `bd ${blockNum}`);
+    }
+
+    async listDir(inode) {
+        const listing = await this.debugfsCmd(`ls -p <${inode}>`);
+        const entries = [];
+        let match;
+
+        while ((match = dirEntryRegex.exec(listing))) {
+            const inode = +match[1];
+            const name = match[2];
+            if (name === '.' || name === '..') continue;
+            // debugfs also lists unused entries
+            if (inode === 0) continue;
+            entries.push({ inode, name });
+        }
+
+        return entries;
+    }
+
+    async close() {
+        await this.#queue;
+        await this.#session?.close();
+    }
+}
+
+module.exports = {
+    parseHex,
+    UnreadableMetadataError,
+    DebugfsBackend,
+};
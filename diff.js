@@ -0,0 +1,100 @@
+const { REASON, displayPaths } = require('./report');
+
+/**
+ * How a finding changed between two scans.
+ */
+const CHANGE = {
+    // Damaged in the first scan, intact in the second
+    RECOVERED: 'recovered',
+    // Damaged in both
+    STILL_DAMAGED: 'still-damaged',
+    // Only in the second scan, usually because a directory above it can be read now
+    NEW: 'new',
+};
+
+const COMPARISON_FORMATS = ['text', 'jsonl'];
+
+/**
+ * Compare the findings of two scans of the same filesystem, returning
+ * [{ change, finding, before }] with the recovered findings first, then the ones still damaged,
+ * then the new ones. `finding` is from the second scan except for recovered ones, and `before`
+ * is the first scan's finding for ones still damaged. Intact orphans aren't damage and are left out.
+ */
+const compareScans = (before, after) => {
+    const damaged = findings => findings.filter(finding => finding.reason !== REASON.ORPHANED);
+    // Text reports have no inode numbers, so they can only be matched by path
+    const byInode = [...before, ...after].every(finding => finding.inode != null);
+    const key = finding => `${finding.partition ?? ''}:${byInode ? finding.inode : finding.path}`;
+
+    const afterByKey = new Map(damaged(after).map(finding => [key(finding), finding]));
+    const beforeKeys = new Set();
+    const recovered = [], stillDamaged = [], added = [];
+
+    for (const finding of damaged(before)) {
+        beforeKeys.add(key(finding));
+        const now = afterByKey.get(key(finding));
+        if (now) stillDamaged.push({ change: CHANGE.STILL_DAMAGED, finding: now, before: finding });
+        else recovered.push({ change: CHANGE.RECOVERED, finding });
+    }
+    for (const finding of damaged(after)) {
+        if (!beforeKeys.has(key(finding))) added.push({ change: CHANGE.NEW, finding });
+    }
+
+    return [...recovered, ...stillDamaged, ...added];
+};
+
+const describeBytes = (finding, before) => {
+    if (finding.damagedBytes == null) return '';
+    const was = before?.damagedBytes != null && before.damagedBytes !== finding.damagedBytes ? `, was ${before.damagedBytes}` : '';
+    return `: ${finding.damagedBytes} of ${finding.size} bytes damaged${was}`;
+};
+
+const sumDamagedBytes = findings => findings.reduce((sum, finding) => sum + (finding.damagedBytes ?? 0), 0);
+
+const formatSummary = changes => {
+    const count = change => changes.filter(entry => entry.change === change).length;
+    const still = changes.filter(entry => entry.change === CHANGE.STILL_DAMAGED);
+    const bytes = still.some(entry => entry.finding.damagedBytes != null) ?
+        ` (${sumDamagedBytes(still.map(entry => entry.finding))} bytes damaged, was ${sumDamagedBytes(still.map(entry => entry.before))})` :
+        '';
+    return `${count(CHANGE.RECOVERED)} recovered, ${still.length} still damaged${bytes}, ${count(CHANGE.NEW)} new\n`;
+};
+
+const LABELS = {
+    [CHANGE.RECOVERED]: 'RECOVERED',
+    [CHANGE.STILL_DAMAGED]: 'STILL BAD',
+    [CHANGE.NEW]: 'NEW',
+};
+
+/**
+ * Write the result of compareScans to `stream`. The text format ends with a summary line;
+ * jsonl gives each finding with its `change`, and for ones still damaged, the damaged byte
+ * count and reason of the first scan.
+ */
+const writeComparison = (changes, format, stream = process.stdout) => {
+    if (!COMPARISON_FORMATS.includes(format)) throw new Error(`Unknown format ${JSON.stringify(format)} for comparisons, expected one of ${COMPARISON_FORMATS.join(', ')}`);
+
+    for (const { change, finding, before } of changes) {
+        if (format === 'jsonl') {
+            const record = { change, ...finding };
+            if (before) {
+                record.previousReason = before.reason;
+                if (before.damagedBytes != null) record.previousDamagedBytes = before.damagedBytes;
+            }
+            stream.write(JSON.stringify(record) + '\n');
+            continue;
+        }
+        // Recovered files are whole again, so how much of them was damaged doesn't matter
+        const bytes = change === CHANGE.RECOVERED ? '' : describeBytes(finding, before);
+        for (const path of displayPaths(finding)) stream.write(`${LABELS[change]} ${path}${bytes}\n`);
+    }
+
+    if (format === 'text') stream.write(formatSummary(changes));
+};
+
+module.exports = {
+    CHANGE,
+    COMPARISON_FORMATS,
+    compareScans,
+    writeComparison,
+};
@@ -0,0 +1,798 @@
+const { open } = require('fs/promises');
+
+const SUPERBLOCK_OFFSET = 1024;
+const SUPERBLOCK_SIZE = 1024;
+const EXT_MAGIC = 0xEF53;
+// s_block_group_nr, the group a copy of the superblock is in
+const SUPERBLOCK_GROUP_OFFSET = 0x5A;
+const BLOCK_SIZES = [1024, 2048, 4096, 8192, 16384, 32768, 65536];
+const EXTENT_MAGIC = 0xF30A;
+// ext4 never builds extent trees deeper than this
+const MAX_EXTENT_DEPTH = 5;
+// Leaf extents longer than this are uninitialized, with the rest of the length as their size
+const EXTENT_INIT_MAX_LEN = 32768;
+
+const S_IFMT = 0xF000;
+const S_IFDIR = 0x4000;
+const S_EXTENTS = 0x080000;
+const INLINE_DATA_FL = 0x10000000;
+// Magic number of the extended attributes in the inode and in xattr blocks
+const XATTR_MAGIC = 0xEA020000;
+const XATTR_INDEX_SYSTEM = 7;
+// Everything past the first 128 bytes of an inode
+const INODE_EXTRA_OFFSET = 128;
+
+const FILE_TYPES = {
+    0x1000: 'fifo',
+    0x2000: 'char-device',
+    0x4000: 'directory',
+    0x6000: 'block-device',
+    0x8000: 'file',
+    0xA000: 'symlink',
+    0xC000: 'socket',
+};
+
+// Feature flag names, as debugfs prints them
+const COMPAT_FEATURES = {
+    0x0001: 'dir_prealloc',
+    0x0002: 'imagic_inodes',
+    0x0004: 'has_journal',
+    0x0008: 'ext_attr',
+    0x0010: 'resize_inode',
+    0x0020: 'dir_index',
+    0x0040: 'lazy_bg',
+    0x0080: 'snapshot_bitmap',
+    0x0200: 'sparse_super2',
+    0x0400: 'fast_commit',
+    0x0800: 'stable_inodes',
+    0x1000: 'orphan_file',
+};
+
+const INCOMPAT_FEATURES = {
+    0x00001: 'compression',
+    0x00002: 'filetype',
+    0x00004: 'needs_recovery',
+    0x00008: 'journal_dev',
+    0x00010: 'meta_bg',
+    0x00040: 'extent',
+    0x00080: '64bit',
+    0x00100: 'mmp',
+    0x00200: 'flex_bg',
+    0x00400: 'ea_inode',
+    0x01000: 'dirdata',
+    0x02000: 'metadata_csum_seed',
+    0x04000: 'large_dir',
+    0x08000: 'inline_data',
+    0x10000: 'encrypt',
+    0x20000: 'casefold',
+};
+
+const RO_COMPAT_FEATURES = {
+    0x00001: 'sparse_super',
+    0x00002: 'large_file',
+    0x00004: 'btree_dir',
+    0x00008: 'huge_file',
+    0x00010: 'uninit_bg',
+    0x00020: 'dir_nlink',
+    0x00040: 'extra_isize',
+    0x00080: 'snapshot',
+    0x00100: 'quota',
+    0x00200: 'bigalloc',
+    0x00400: 'metadata_csum',
+    0x00800: 'replica',
+    0x01000: 'read-only',
+    0x02000: 'project',
+    0x04000: 'shared_blocks',
+    0x08000: 'verity',
+    0x10000: 'orphan_present',
+};
+
+// Features that change the on-disk layout in ways this tool does not understand
+const UNSUPPORTED_FEATURES = {
+    bigalloc: 'extents are allocated in clusters rather than blocks',
+    journal_dev: 'this is an external journal device, not a filesystem',
+    compression: 'file data is compressed',
+};
+
+const featureNames = (flags, names) => {
+    const features = [];
+    for (const [bit, name] of Object.entries(names)) {
+        if (flags & +bit) features.push(name);
+    }
+    return features;
+};
+
+/**
+ * Fill in the values derived from the superblock fields and make sure this tool can handle the filesystem.
+ * Both backends build their geometry through here.
+ */
+const makeGeometry = fields => {
+    for (const feature of fields.features) {
+        if (feature in UNSUPPORTED_FEATURES) {
+            throw new Error(`Filesystem feature "${feature}" is not supported: ${UNSUPPORTED_FEATURES[feature]}`);
+        }
+    }
+
+    // Byte offsets are plain numbers, which are exact up to 2^53 (8 PiB)
+    if (fields.blockCount * fields.blockSize > Number.MAX_SAFE_INTEGER) throw new Error(`Filesystems over 8 PiB are not supported (this one has ${fields.blockCount} blocks of ${fields.blockSize} bytes)`);
+
+    return {
+        ...fields,
+        groupCount: Math.ceil((fields.blockCount - fields.firstDataBlock) / fields.blocksPerGroup),
+        blockIdsPerBlock: fields.blockSize / 4,
+    };
+};
+
+const parseSuperblock = buf => {
+    const magic = buf.readUint16LE(0x38);
+    if (magic !== EXT_MAGIC) throw new Error(`Bad superblock magic 0x${magic.toString(16)}, this is not an ext2/3/4 filesystem`);
+
+    const revision = buf.readUint32LE(0x4C);
+    const features = new Set([
+        ...featureNames(buf.readUint32LE(0x5C), COMPAT_FEATURES),
+        ...featureNames(buf.readUint32LE(0x60), INCOMPAT_FEATURES),
+        ...featureNames(buf.readUint32LE(0x64), RO_COMPAT_FEATURES),
+    ]);
+    const is64bit = features.has('64bit');
+
+    return {
+        inodeCount: buf.readUint32LE(0x00),
+        blockCount: buf.readUint32LE(0x04) + (is64bit ? buf.readUint32LE(0x150) * 2 ** 32 : 0),
+        freeInodes: buf.readUint32LE(0x10),
+        firstDataBlock: buf.readUint32LE(0x14),
+        blockSize: 1024 * 2 ** buf.readUint32LE(0x18),
+        blocksPerGroup: buf.readUint32LE(0x20),
+        inodesPerGroup: buf.readUint32LE(0x28),
+        // Revision 0 filesystems always use 128 byte inodes and reserve the first 10
+        inodeSize: revision === 0 ? 128 : buf.readUint16LE(0x58),
+        firstInode: revision === 0 ? 11 : buf.readUint32LE(0x54),
+        descSize: is64bit ? buf.readUint16LE(0xFE) : 32,
+        firstMetaBg: buf.readUint32LE(0x104),
+        reservedGdtBlocks: buf.readUint16LE(0xCE),
+        journalInode: features.has('has_journal') ? buf.readUint32LE(0xE0) : 0,
+        backupGroups: [buf.readUint32LE(0x24C), buf.readUint32LE(0x250)],
+        features,
+    };
+};
+
+const isPowerOf = (n, base) => {
+    while (n > 1 && n % base === 0) n /= base;
+    return n === 1;
+};
+
+// Groups 1 and the powers of 3, 5 and 7 below `limit`, where sparse_super keeps backups, in order
+const sparseSuperGroups = limit => {
+    const groups = [1];
+    for (const base of [3, 5, 7]) {
+        for (let group = base; group < limit; group *= base) groups.push(group);
+    }
+    return groups.sort((a, b) => a - b);
+};
+
+/**
+ * Whether a block group holds a copy of the superblock and group descriptors.
+ */
+const groupHasSuperblock = (geometry, group) => {
+    if (group === 0) return true;
+    if (geometry.features.has('sparse_super2')) return geometry.backupGroups.includes(group);
+    if (!geometry.features.has('sparse_super')) return true;
+    return group === 1 || isPowerOf(group, 3) || isPowerOf(group, 5) || isPowerOf(group, 7);
+};
+
+const firstBlockOfGroup = (geometry, group) => geometry.firstDataBlock + group * geometry.blocksPerGroup;
+
+// Groups holding a copy of the superblock, in order
+function* superblockGroups(geometry) {
+    yield 0;
+    if (geometry.features.has('sparse_super2')) {
+        yield* [...new Set(geometry.backupGroups)].filter(group => group > 0).sort((a, b) => a - b);
+    }
+    else if (geometry.features.has('sparse_super')) {
+        yield* sparseSuperGroups(geometry.groupCount);
+    }
+    else {
+        for (let group = 1; group < geometry.groupCount; group++) yield group;
+    }
+}
+
+// Descriptor blocks that follow each copy of the superblock; with meta_bg, only the ones before the first meta group
+const classicDescriptorBlocks = geometry => {
+    const descBlocks = Math.ceil(geometry.groupCount / (geometry.blockSize / geometry.descSize));
+    return geometry.features.has('meta_bg') ? Math.min(geometry.firstMetaBg, descBlocks) : descBlocks;
+};
+
+/**
+ * Yield the copies of group descriptor block `index` as { group, block }, the primary first.
+ */
+function* groupDescriptorCopies(geometry, index) {
+    if (index < classicDescriptorBlocks(geometry)) {
+        for (const group of superblockGroups(geometry)) yield { group, block: firstBlockOfGroup(geometry, group) + 1 + index };
+        return;
+    }
+
+    // With meta_bg, each meta group keeps its descriptor block in its first, second and last group
+    const descsPerBlock = geometry.blockSize / geometry.descSize;
+    const firstGroup = index * descsPerBlock;
+    for (const group of [firstGroup, firstGroup + 1, firstGroup + descsPerBlock - 1]) {
+        if (group < geometry.groupCount) yield { group, block: firstBlockOfGroup(geometry, group) + (groupHasSuperblock(geometry, group) ? 1 : 0) };
+    }
+}
+
+/**
+ * Find the first copy of group descriptor block `index` for which `blockIsSafe` holds, or the
+ * primary one if there is none, as { group, block, primary }.
+ */
+const pickGroupDescriptorCopy = (geometry, index, blockIsSafe) => {
+    let first = null;
+    for (const copy of groupDescriptorCopies(geometry, index)) {
+        first ??= copy;
+        if (blockIsSafe(copy.block)) return { ...copy, primary: copy === first };
+    }
+    return { ...first, primary: true };
+};
+
+/**
+ * Some of the filesystem's metadata couldn't be read: debugfs kept crashing or hanging on it,
+ * or it points outside the filesystem, as garbage in a damaged block can.
+ */
+class UnreadableMetadataError extends Error {}
+
+const getAddressOfInode = (geometry, inode) => {
+    if (!(Number.isInteger(inode) && inode >= 1 && inode <= geometry.inodeCount)) {
+        throw new UnreadableMetadataError(`Inode ${inode} is out of range, the filesystem has ${geometry.inodeCount}`);
+    }
+    const group = Math.floor((inode - 1) / geometry.inodesPerGroup);
+    const index = (inode - 1) % geometry.inodesPerGroup;
+    const startOfInodeTable = geometry.startOfInodeTableByGroup.get(group);
+    if (startOfInodeTable == null) throw new Error(`Group ${group} was calculated but doesn't exist!!!`);
+    return startOfInodeTable + (index * geometry.inodeSize);
+};
+
+/**
+ * Find the descriptor block holding the descriptor of a group, as its `index` among them and the
+ * `block` of its primary copy, and the descriptor's offset within it.
+ */
+const locateGroupDescriptor = (geometry, group) => {
+    const descsPerBlock = geometry.blockSize / geometry.descSize;
+    const index = Math.floor(group / descsPerBlock);
+    const { block } = groupDescriptorCopies(geometry, index).next().value;
+    return { index, block, offset: (group % descsPerBlock) * geometry.descSize };
+};
+
+/**
+ * Get the blocks the filesystem itself uses for its layout, as sorted
+ * { start, count, kind, group } runs of block numbers. `kind` is one of 'boot-block',
+ * 'superblock', 'group-descriptors', 'reserved-gdt', 'block-bitmap', 'inode-bitmap' or 'inode-table'.
+ */
+const getMetadataRegions = geometry => {
+    const regions = [];
+    const descsPerBlock = geometry.blockSize / geometry.descSize;
+    const metaBg = geometry.features.has('meta_bg');
+    const classicDescBlocks = classicDescriptorBlocks(geometry);
+    const inodeTableBlocks = Math.ceil(geometry.inodesPerGroup * geometry.inodeSize / geometry.blockSize);
+
+    // With 1KiB blocks, the superblock is in block 1 and block 0 holds the boot sector
+    if (geometry.firstDataBlock > 0) regions.push({ start: 0, count: geometry.firstDataBlock, kind: 'boot-block', group: null });
+
+    for (let group = 0; group < geometry.groupCount; group++) {
+        let block = firstBlockOfGroup(geometry, group);
+        const hasSuperblock = groupHasSuperblock(geometry, group);
+        if (hasSuperblock) {
+            regions.push({ start: block, count: 1, kind: 'superblock', group });
+            block++;
+            if (classicDescBlocks > 0) regions.push({ start: block, count: classicDescBlocks, kind: 'group-descriptors', group });
+            block += classicDescBlocks;
+            if (geometry.reservedGdtBlocks > 0) regions.push({ start: block, count: geometry.reservedGdtBlocks, kind: 'reserved-gdt', group });
+        }
+
+        // Each meta group keeps its descriptor block in its first, second and last group
+        const metaGroup = Math.floor(group / descsPerBlock);
+        const index = group % descsPerBlock;
+        if (metaBg && metaGroup >= geometry.firstMetaBg && (index === 0 || index === 1 || index === descsPerBlock - 1)) {
+            regions.push({ start: firstBlockOfGroup(geometry, group) + (hasSuperblock ? 1 : 0), count: 1, kind: 'group-descriptors', group });
+        }
+
+        regions.push({ start: geometry.blockBitmapByGroup.get(group), count: 1, kind: 'block-bitmap', group });
+        regions.push({ start: geometry.inodeBitmapByGroup.get(group), count: 1, kind: 'inode-bitmap', group });
+        regions.push({ start: geometry.startOfInodeTableByGroup.get(group) / geometry.blockSize, count: inodeTableBlocks, kind: 'inode-table', group });
+    }
+
+    return regions.sort((a, b) => a.start - b.start);
+};
+
+const BG_INODE_UNINIT = 0x0001;
+const BG_BLOCK_UNINIT = 0x0002;
+
+const parseGroupDescriptor = (geometry, buf, offset) => {
+    const is64 = geometry.descSize >= 64;
+    const hi = (lo, hiOffset) => buf.readUint32LE(offset + lo) + (is64 ? buf.readUint32LE(offset + hiOffset) * 2 ** 32 : 0);
+    return {
+        blockBitmap: hi(0x00, 0x20),
+        inodeBitmap: hi(0x04, 0x24),
+        inodeTable: hi(0x08, 0x28),
+        flags: buf.readUint16LE(offset + 0x12),
+        itableUnused: buf.readUint16LE(offset + 0x1C) + (is64 ? buf.readUint16LE(offset + 0x32) * 2 ** 16 : 0),
+    };
+};
+
+/**
+ * Whether a group's block bitmap was never written, in which case only the group's own
+ * metadata is in use.
+ */
+const blockBitmapIsUninit = (geometry, desc) =>
+    (geometry.features.has('uninit_bg') || geometry.features.has('metadata_csum')) && Boolean(desc.flags & BG_BLOCK_UNINIT);
+
+/**
+ * Get the free blocks of a group from its block bitmap, as [[block, count]] runs.
+ * `count` is the number of blocks in the group, which is less than a full bitmap in the last group.
+ */
+const bitmapFreeRuns = (buf, firstBlock, count) => {
+    const runs = [];
+    let runStart = null;
+    for (let i = 0; i <= count; i++) {
+        const free = i < count && !(buf[i >> 3] & (1 << (i & 7)));
+        if (free && runStart == null) runStart = i;
+        if (!free && runStart != null) {
+            runs.push([firstBlock + runStart, i - runStart]);
+            runStart = null;
+        }
+    }
+    return runs;
+};
+
+/**
+ * How many inodes at the start of a group's inode table have ever been initialized.
+ * The rest of the table can't hold anything in use.
+ */
+const initializedInodes = (geometry, desc) => {
+    // Without group descriptor checksums, the flags and unused count can't be trusted
+    if (!geometry.features.has('uninit_bg') && !geometry.features.has('metadata_csum')) return geometry.inodesPerGroup;
+    if (desc.flags & BG_INODE_UNINIT) return 0;
+    return geometry.inodesPerGroup - desc.itableUnused;
+};
+
+const getFileType = inodeBuf => FILE_TYPES[inodeBuf.readUint16LE(0x00) & S_IFMT] ?? 'unknown';
+
+/**
+ * Whether an inode is allocated to a file, going by the inode itself rather than the bitmap.
+ */
+const inodeIsInUse = inodeBuf => inodeBuf.readUint16LE(0x00) !== 0 && inodeBuf.readUint16LE(0x1A) > 0 && inodeBuf.readUint32LE(0x14) === 0;
+
+/**
+ * Size of the file an inode describes, in bytes.
+ */
+const getFileSize = (geometry, inodeBuf) => {
+    const lo = inodeBuf.readUint32LE(0x04);
+    // The high half was the directory ACL on directories, until large_dir
+    const isDir = (inodeBuf.readUint16LE(0x00) & S_IFMT) === S_IFDIR;
+    if (isDir && !geometry.features.has('large_dir')) return lo;
+    return lo + inodeBuf.readUint32LE(0x6C) * 2 ** 32;
+};
+
+const hasInlineData = inodeBuf => Boolean(inodeBuf.readUint32LE(0x20) & INLINE_DATA_FL);
+
+/**
+ * Whether i_block holds an extent tree or block map. Inline data, the targets of short
+ * symlinks and device numbers are stored there instead.
+ */
+const inodeHasBlockMap = (geometry, inodeBuf) => {
+    if (hasInlineData(inodeBuf)) return false;
+    const type = getFileType(inodeBuf);
+    if (type === 'symlink') return getFileSize(geometry, inodeBuf) >= 60;
+    return type === 'file' || type === 'directory';
+};
+
+/**
+ * Block holding the inode's extended attributes, such as ACLs and security labels, or 0.
+ */
+const getXattrBlock = (geometry, inodeBuf) =>
+    inodeBuf.readUint32LE(0x68) + (geometry.features.has('64bit') ? inodeBuf.readUint16LE(0x76) * 2 ** 32 : 0);
+
+// Value of the extended attribute stored in the inode itself, or null
+const getInodeXattr = (inodeBuf, nameIndex, name) => {
+    if (inodeBuf.length <= INODE_EXTRA_OFFSET + 4) return null;
+    const start = INODE_EXTRA_OFFSET + inodeBuf.readUint16LE(INODE_EXTRA_OFFSET);
+    if (start + 4 > inodeBuf.length || inodeBuf.readUint32LE(start) !== XATTR_MAGIC) return null;
+
+    // Value offsets count from the first entry
+    const entries = start + 4;
+    for (let offset = entries; offset + 16 <= inodeBuf.length && inodeBuf.readUint32LE(offset) !== 0;) {
+        const nameLen = inodeBuf[offset];
+        const valueOffset = entries + inodeBuf.readUint16LE(offset + 2);
+        const valueSize = inodeBuf.readUint32LE(offset + 8);
+        if (inodeBuf[offset + 1] === nameIndex && inodeBuf.toString('latin1', offset + 16, offset + 16 + nameLen) === name) {
+            return valueOffset + valueSize <= inodeBuf.length ? inodeBuf.subarray(valueOffset, valueOffset + valueSize) : null;
+        }
+        offset += (16 + nameLen + 3) & ~3;
+    }
+    return null;
+};
+
+/**
+ * Entries of a directory stored in its inode with inline_data: the parent, then entries in the
+ * rest of i_block and in the "system.data" extended attribute.
+ */
+const parseInlineDir = (geometry, inodeBuf, { includeDots = false } = {}) => {
+    const i_block = inodeBuf.subarray(0x28, 0x28 + 60);
+    const entries = includeDots ? [{ inode: i_block.readUint32LE(0), name: '..' }] : [];
+    entries.push(...parseDirBlock(geometry, i_block.subarray(4)));
+    const extra = getInodeXattr(inodeBuf, XATTR_INDEX_SYSTEM, 'data');
+    if (extra?.length) entries.push(...parseDirBlock(geometry, extra));
+    return entries;
+};
+
+/**
+ * Parse an extent tree node, the start of i_block or a whole block, as { depth, entries }.
+ * Entries of leaves are { logical, physical, count, uninitialized } extents, and those of index
+ * nodes are { logical, child }. Returns null if the header is bad or has a `depth` other than
+ * `expectedDepth`, so garbage is never walked as a tree.
+ */
+const parseExtentNode = (buf, expectedDepth = null) => {
+    if (buf.length < 12 || buf.readUint16LE(0x00) !== EXTENT_MAGIC) return null;
+    const entryCount = buf.readUint16LE(0x02);
+    const maxEntries = buf.readUint16LE(0x04);
+    const depth = buf.readUint16LE(0x06);
+    if (entryCount > maxEntries || 12 * (maxEntries + 1) > buf.length || depth > MAX_EXTENT_DEPTH) return null;
+    if (expectedDepth != null && depth !== expectedDepth) return null;
+
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+        const entry = 12 * (i + 1);
+        const logical = buf.readUint32LE(entry);
+        if (depth === 0) {
+            const rawLength = buf.readUint16LE(entry + 0x04);
+            const uninitialized = rawLength > EXTENT_INIT_MAX_LEN;
+            entries.push({
+                logical,
+                physical: buf.readUint16LE(entry + 0x06) * 2 ** 32 + buf.readUint32LE(entry + 0x08),
+                count: uninitialized ? rawLength - EXTENT_INIT_MAX_LEN : rawLength,
+                uninitialized,
+            });
+        }
+        else {
+            entries.push({ logical, child: buf.readUint16LE(entry + 0x08) * 2 ** 32 + buf.readUint32LE(entry + 0x04) });
+        }
+    }
+    return { depth, entries };
+};
+
+/**
+ * Yield { logical, physical, count } runs of an inode's data blocks, in logical order, or
+ * nothing for inodes without a block map (see inodeHasBlockMap).
+ * Holes are skipped, and runs of uninitialized extents have `uninitialized` set.
+ * `readBlock` is used to fetch extent tree nodes and indirect blocks; it may return null for a
+ * block that can't be read, and the part of the file it maps is skipped, as is the part under
+ * an extent tree node with a bad header. `onUnmapped(logical, count)` is called for each part
+ * skipped, in order with the runs.
+ */
+async function* mapInodeBlocks(geometry, inodeBuf, readBlock, onUnmapped = () => {}) {
+    if (!inodeHasBlockMap(geometry, inodeBuf)) return;
+    const i_block = inodeBuf.subarray(0x28, 0x28 + 60);
+    let remaining = Math.ceil(getFileSize(geometry, inodeBuf) / geometry.blockSize);
+
+    if (inodeBuf.readUint32LE(0x20) & S_EXTENTS) {
+        yield* mapExtentNode(i_block, readBlock, onUnmapped, 0, remaining);
+        return;
+    }
+
+    let logical = 0;
+
+    // Direct blocks, then singly, doubly and triply indirect
+    for (let i = 0; i < 15 && remaining > 0; i++) {
+        const level = Math.max(0, i - 11);
+        const span = geometry.blockIdsPerBlock ** level;
+        const count = Math.min(span, remaining);
+        yield* mapIndirect(geometry, i_block.readUint32LE(i * 4), level, logical, count, readBlock, onUnmapped);
+        logical += span;
+        remaining -= count;
+    }
+}
+
+// This node covers the logical blocks [start, end) of the file, and should be `expectedDepth` deep
+async function* mapExtentNode(buf, readBlock, onUnmapped, start, end, expectedDepth = null) {
+    const node = parseExtentNode(buf, expectedDepth);
+    if (!node) {
+        onUnmapped(start, end - start);
+        return;
+    }
+
+    for (let i = 0; i < node.entries.length; i++) {
+        const entry = node.entries[i];
+        if (node.depth === 0) {
+            yield entry;
+        }
+        else {
+            // An index entry covers everything up to the next one
+            const childEnd = i + 1 < node.entries.length ? node.entries[i + 1].logical : end;
+            const childBuf = await readBlock(entry.child);
+            if (childBuf) yield* mapExtentNode(childBuf, readBlock, onUnmapped, entry.logical, childEnd, node.depth - 1);
+            else onUnmapped(entry.logical, childEnd - entry.logical);
+        }
+    }
+}
+
+// `level` is 0 for a data block, 1 for a singly indirect block and so on
+async function* mapIndirect(geometry, blockNum, level, logical, count, readBlock, onUnmapped) {
+    // Zero pointers are holes, which cover everything below them
+    if (blockNum === 0) return;
+
+    if (level === 0) {
+        yield { logical, physical: blockNum, count: 1 };
+        return;
+    }
+
+    const buf = await readBlock(blockNum);
+    if (!buf) {
+        onUnmapped(logical, count);
+        return;
+    }
+    const span = geometry.blockIdsPerBlock ** (level - 1);
+    for (let i = 0; i * span < count; i++) {
+        yield* mapIndirect(geometry, buf.readUint32LE(i * 4), level - 1, logical + i * span, Math.min(span, count - i * span), readBlock, onUnmapped);
+    }
+}
+
+/**
+ * Parse the entries of one directory block, skipping unused entries, and "." and ".." unless
+ * `includeDots` is set.
+ */
+const parseDirBlock = (geometry, buf, { includeDots = false } = {}) => {
+    const entries = [];
+    let offset = 0;
+
+    while (offset + 8 <= buf.length) {
+        const inode = buf.readUint32LE(offset);
+        let recLen = buf.readUint16LE(offset + 4);
+        // Blocks of 64KiB and up can't store their length in 16 bits
+        recLen = recLen === 0 || recLen === 65535 ? geometry.blockSize : (recLen & 65532) | ((recLen & 3) << 16);
+        const nameLen = geometry.features.has('filetype') ? buf[offset + 6] : buf.readUint16LE(offset + 6);
+        // Corrupted entry, give up on the rest of the block
+        if (recLen < 8 || offset + recLen > buf.length || 8 + nameLen > recLen) break;
+
+        if (inode !== 0) {
+            const name = buf.toString('utf-8', offset + 8, offset + 8 + nameLen);
+            if (includeDots || (name !== '.' && name !== '..')) entries.push({ inode, name });
+        }
+
+        offset += recLen;
+    }
+
+    return entries;
+};
+
+// Read up to `length` bytes at `position` of an open file, fewer past its end
+const readAt = async (handle, position, length) => {
+    const buf = Buffer.alloc(length);
+    let done = 0;
+    while (done < length) {
+        const { bytesRead } = await handle.read(buf, done, length - done, position + done);
+        if (bytesRead === 0) break;
+        done += bytesRead;
+    }
+    return buf.subarray(0, done);
+};
+
+/**
+ * The size of the open file or block device `handle`, in bytes. Block devices have a size of 0
+ * as far as stat is concerned, so for them it's found by bisecting for the first byte past the end.
+ */
+const deviceSize = async handle => {
+    const { size } = await handle.stat();
+    if (size > 0) return size;
+    const readable = async position => (await readAt(handle, position, 1)).length === 1;
+    if (!await readable(0)) return 0;
+    let low = 0, high = 1;
+    while (await readable(high)) {
+        low = high;
+        high *= 2;
+    }
+    while (high - low > 1) {
+        const middle = Math.floor((low + high) / 2);
+        if (await readable(middle)) low = middle;
+        else high = middle;
+    }
+    return high;
+};
+
+/**
+ * Find an intact copy of the superblock outside the bad regions: the primary one, or else a
+ * backup in group 1, 3, 5, 7, 9, 25 and so on, trying every block size with the default
+ * number of blocks per group. `read(position, length)` reads the filesystem, returning fewer
+ * bytes past its end, which is `size` bytes in, and `rangeIsSafe(start, end)` tells whether a
+ * byte range of it is outside the bad regions. With `withDescriptors`, the group descriptor blocks following the copy must
+ * be outside them too. Returns { group, block, fields } with the parsed superblock, or null.
+ */
+const findSuperblock = async (read, size, rangeIsSafe = () => true, { withDescriptors = false } = {}) => {
+    const tryCopy = async (group, position) => {
+        if (!rangeIsSafe(position, position + SUPERBLOCK_SIZE)) return null;
+        const buf = await read(position, SUPERBLOCK_SIZE);
+        if (buf.length < SUPERBLOCK_SIZE || buf.readUint16LE(0x38) !== EXT_MAGIC || buf.readUint16LE(SUPERBLOCK_GROUP_OFFSET) !== group % 2 ** 16) return null;
+        const fields = parseSuperblock(buf);
+        const block = firstBlockOfGroup(fields, group);
+        // A stray copy, or one for a different block size
+        if (group > 0 && block * fields.blockSize !== position) return null;
+        if (withDescriptors) {
+            const start = (block + 1) * fields.blockSize;
+            if (!rangeIsSafe(start, start + classicDescriptorBlocks(makeGeometry(fields)) * fields.blockSize)) return null;
+        }
+        return { group, block, fields };
+    };
+
+    const primary = await tryCopy(0, SUPERBLOCK_OFFSET);
+    if (primary) return primary;
+    // Groups start 8 * blockSize blocks apart, so the smallest blocks give the most groups within `size`
+    for (const group of sparseSuperGroups(Math.ceil(size / (8 * BLOCK_SIZES[0] ** 2)))) {
+        for (const blockSize of BLOCK_SIZES) {
+            // Filesystems with 1KiB blocks start at block 1
+            const position = ((blockSize === 1024 ? 1 : 0) + group * 8 * blockSize) * blockSize;
+            if (position + SUPERBLOCK_SIZE > size) continue;
+            const copy = await tryCopy(group, position);
+            if (copy) return copy;
+        }
+    }
+    return null;
+};
+
+/**
+ * findSuperblock for the filesystem at `offset` bytes into `device`.
+ */
+const locateSuperblock = async (device, offset = 0, rangeIsSafe = undefined, options = {}) => {
+    const handle = await open(device, 'r');
+    try {
+        return await findSuperblock((position, length) => readAt(handle, offset + position, length), await deviceSize(handle) - offset, rangeIsSafe, options);
+    }
+    finally {
+        await handle.close();
+    }
+};
+
+/**
+ * Whether there is an ext2/3/4 filesystem at `offset` bytes into `device`. When the primary
+ * superblock was never rescued (ddrescue leaves such areas zeroed, or filled with a marker that
+ * `rangeIsSafe` knows about), the backups are looked for.
+ */
+const isExtFilesystem = async (device, offset = 0, rangeIsSafe = () => true) => {
+    const handle = await open(device, 'r');
+    try {
+        const buf = await readAt(handle, offset + SUPERBLOCK_OFFSET, SUPERBLOCK_SIZE);
+        if (buf.length === SUPERBLOCK_SIZE && buf.readUint16LE(0x38) === EXT_MAGIC) return true;
+        if (buf.some(byte => byte !== 0) && rangeIsSafe(SUPERBLOCK_OFFSET, SUPERBLOCK_OFFSET + SUPERBLOCK_SIZE)) return false;
+        return Boolean(await findSuperblock((position, length) => readAt(handle, offset + position, length), await deviceSize(handle) - offset, rangeIsSafe));
+    }
+    finally {
+        await handle.close();
+    }
+};
+
+/**
+ * Reads an ext2/3/4 filesystem directly from a device or image file.
+ */
+class NativeBackend {
+    #handle;
+    #offset;
+    #rangeIsSafe;
+    #geometry;
+    #readCount = 0;
+
+    /**
+     * `offset` is where the filesystem starts within `device`, in bytes.
+     * `rangeIsSafe(start, end)` tells whether a byte range of the filesystem is outside the bad
+     * regions; backup copies of the superblock and group descriptors are used for damaged primaries.
+     */
+    static async open(device, { offset = 0, rangeIsSafe = () => true } = {}) {
+        const backend = new NativeBackend();
+        backend.#handle = await open(device, 'r');
+        backend.#offset = offset;
+        backend.#rangeIsSafe = rangeIsSafe;
+        return backend;
+    }
+
+    async #read(position, length) {
+        const buf = await readAt(this.#handle, this.#offset + position, length);
+        this.#readCount++;
+        if (buf.length < length) throw new UnreadableMetadataError(`Unexpected end of device reading ${length} bytes at ${position}`);
+        return buf;
+    }
+
+    async getGeometry() {
+        const size = await deviceSize(this.#handle) - this.#offset;
+        const copy = await findSuperblock((position, length) => readAt(this.#handle, this.#offset + position, length), size, this.#rangeIsSafe);
+        if (!copy) throw new Error('Found no intact copy of the superblock outside the bad regions');
+        const geometry = makeGeometry({
+            ...copy.fields,
+            superblockGroup: copy.group,
+            backupDescriptorGroups: [],
+            startOfInodeTableByGroup: new Map(),
+            initializedInodesByGroup: new Map(),
+            blockBitmapByGroup: new Map(),
+            blockBitmapInitByGroup: new Map(),
+            inodeBitmapByGroup: new Map(),
+        });
+
+        // Group descriptors are packed, so only read each descriptor block once
+        const blockIsSafe = block => this.#rangeIsSafe(block * geometry.blockSize, (block + 1) * geometry.blockSize);
+        const backupGroups = new Set();
+        let descIndex = -1, descBlock, descCopy;
+        for (let group = 0; group < geometry.groupCount; group++) {
+            const { index, offset } = locateGroupDescriptor(geometry, group);
+            if (index !== descIndex) {
+                descCopy = pickGroupDescriptorCopy(geometry, index, blockIsSafe);
+                if (!descCopy.primary) backupGroups.add(descCopy.group);
+                descBlock = await this.#read(descCopy.block * geometry.blockSize, geometry.blockSize);
+                descIndex = index;
+            }
+            const desc = parseGroupDescriptor(geometry, descBlock, offset);
+            // Backups aren't kept up to date, so like e2fsprogs, don't trust their uninitialized flags
+            if (!descCopy.primary) Object.assign(desc, { flags: 0, itableUnused: 0 });
+            geometry.startOfInodeTableByGroup.set(group, desc.inodeTable * geometry.blockSize);
+            geometry.initializedInodesByGroup.set(group, initializedInodes(geometry, desc));
+            geometry.blockBitmapByGroup.set(group, desc.blockBitmap);
+            geometry.blockBitmapInitByGroup.set(group, !blockBitmapIsUninit(geometry, desc));
+            geometry.inodeBitmapByGroup.set(group, desc.inodeBitmap);
+        }
+        geometry.backupDescriptorGroups = [...backupGroups].sort((a, b) => a - b);
+
+        this.#geometry = geometry;
+        return geometry;
+    }
+
+    // How many reads have been done, for progress reports
+    get requestCount() {
+        return this.#readCount;
+    }
+
+    async readInode(inode) {
+        return await this.#read(getAddressOfInode(this.#geometry, inode), this.#geometry.inodeSize);
+    }
+
+    async readBlock(blockNum) {
+        return await this.#read(blockNum * this.#geometry.blockSize, this.#geometry.blockSize);
+    }
+
+    async listDir(inode) {
+        const inodeBuf = await this.readInode(inode);
+        if (hasInlineData(inodeBuf)) return parseInlineDir(this.#geometry, inodeBuf);
+        const entries = [];
+
+        for await (const run of mapInodeBlocks(this.#geometry, inodeBuf, blockNum => this.readBlock(blockNum))) {
+            for (let i = 0; i < run.count; i++) {
+                entries.push(...parseDirBlock(this.#geometry, await this.readBlock(run.physical + i)));
+            }
+        }
+
+        return entries;
+    }
+
+    async close() {
+        await this.#handle.close();
+    }
+}
+
+module.exports = {
+    UNSUPPORTED_FEATURES,
+    UnreadableMetadataError,
+    makeGeometry,
+    parseSuperblock,
+    groupHasSuperblock,
+    findSuperblock,
+    locateSuperblock,
+    firstBlockOfGroup,
+    getAddressOfInode,
+    getMetadataRegions,
+    bitmapFreeRuns,
+    getFileSize,
+    getFileType,
+    parseExtentNode,
+    hasInlineData,
+    inodeHasBlockMap,
+    getXattrBlock,
+    parseInlineDir,
+    inodeIsInUse,
+    locateGroupDescriptor,
+    parseGroupDescriptor,
+    mapInodeBlocks,
+    parseDirBlock,
+    isExtFilesystem,
+    deviceSize,
+    NativeBackend,
+};
@@ -1,379 +1,401 @@
 #!/usr/bin/env node
 
-const { Duplex } = require('stream');
-const { StringDecoder } = require('string_decoder');
-const { Shell } = require('./shell');
-
-/**
- * Make a simple stream from which will store whatever you write to it
- * until you read from it. A identity transform stream.
- */
-const makeBufferStream = () => Duplex.from(async function*(chunks) {
-    for await (const chunk of chunks) yield chunk;
-});
-
-const expect = (stream, prompt) => {
-    const found = [];
-    let sinceLastMatch = '';
-    let streamError;
-    const promiseResolvers = [];
-    const decoder = new StringDecoder('utf-8');
-
-    const lookForPrompt = () => {
-        let index;
-
-        while ((index = sinceLastMatch.indexOf(prompt)) !== -1) {
-            const match = sinceLastMatch.substring(0, index);
-            const rest = sinceLastMatch.substring(index + prompt.length);
-            if (promiseResolvers.length > 0) {
-                promiseResolvers.shift().resolve(match);
-            }
-            else {
-                found.push(match);
-            }
-            sinceLastMatch = rest;
-        }
-    };
-
-    const onData = chunk => {
-        sinceLastMatch += decoder.write(chunk);
-        lookForPrompt();
-    };
-    stream.on('data', onData);
-
-    const onError = err => {
-        streamError = err;
-        promiseResolvers.forEach(({ reject }) => reject(err));
-        promiseResolvers.splice(0, promiseResolvers.length);
-    };
-    stream.on('error', onError);
-
-    const onEnd = () => {
-        streamError = new Error('Stream ended before next prompt was found');
-        promiseResolvers.forEach(({ reject }) => reject(streamError));
-        promiseResolvers.splice(0, promiseResolvers.length);
-    };
-    stream.on('end', onEnd);
-
-    return {
-        async next() {
-            if (found.length > 0) return found.shift();
-            if (streamError) throw streamError;
-            return await new Promise((resolve, reject) => {
-                promiseResolvers.push({ resolve, reject });
-            });
-        },
-        dispose() {
-            stream.off('data', onData);
-            stream.off('error', onError);
-            stream.off('end', onEnd);
-            streamError = new Error('Expect disposed');
-            promiseResolvers.forEach(({ reject }) => reject(streamError));
-            promiseResolvers.splice(0, promiseResolvers.length);
-        },
-        get found() {
-            return found;
+const { statSync, writeFileSync } = require('fs');
+const { parseArgs } = require('util');
+const { readPartitionTable } = require('./partitions');
+const { ProgressLine } = require('./progress');
+const { isExtFilesystem } = require('./ext');
+const { FillMarkerScanner } = require('./markers');
+const { FORMATS, createReporter } = require('./report');
+const { saveOwnerIndex } = require('./owners');
+const { buildRollup, formatRollupText, formatRollupHtml } = require('./rollup');
+const { pathMatcher } = require('./glob');
+const { compareScans, writeComparison, COMPARISON_FORMATS } = require('./diff');
+const { DEFAULT_BAD_STATUSES, STATUS, parseMapfileNumber, readMapfile, mergeRanges, badRangesFromMapfile, formatDomainMapfile, hex } = require('./mapfile');
+const { BACKENDS, scanFilesystem } = require('./scan');
+
+const usage = `Usage: findbad_catastrophic.js --mapfile <file> [options] <device>
+       findbad_catastrophic.js --fill-marker <text> [options] <device>
+
+Options:
+  --mapfile <file>        GNU ddrescue mapfile describing the rescued device
+  --bad-statuses <chars>  Mapfile statuses that count as bad (default "${DEFAULT_BAD_STATUSES}")
+                            - bad-sector, * non-trimmed, / non-scraped, ? non-tried
+  --fill-marker <text>    Also count sectors filled with this text repeated as bad, as ddrescue --fill-mode
+                            leaves them. With --mapfile, where the two disagree is listed after the scan
+  --sector-size <bytes>   Sector size for --fill-marker (default 512)
+  --offset <bytes>        Where the device starts within the mapfile's device (default 0)
+  --partition <n>         When the device is a partitioned disk, only scan partition n
+                            (by default every partition with an ext filesystem is scanned)
+  --list-partitions       Only list the device's partitions
+  --format <format>       Output format: ${FORMATS.join(', ')} (default text)
+  --detail                Report which byte ranges of each damaged file are bad and how much of it is lost
+  --orphans               After the tree walk, look through the inode tables for in-use inodes it never
+                            reached, because a directory above them is damaged, and check those too
+  --root <path>           Only scan the tree below this directory instead of the whole filesystem
+  --include <pattern>     Only check files matching this path pattern (or below a matching directory),
+                            reading just the directories that lead to them. Can be given more than once
+  --exclude <pattern>     Skip files and directories matching this path pattern without reading them.
+                            Can be given more than once
+  --max-depth <n>         Don't list directories n or more levels below the root
+  --domain-mapfile <file> Write a ddrescue domain mapfile covering only the bad parts of the damaged files,
+                            to retry just those with ddrescue --domain-mapfile
+  --domain-path <pattern> Only include damaged files matching this path pattern (or below a matching
+                            directory) in the domain mapfile. Can be given more than once
+  --salvage <dir>         Once the scan is done, copy the readable parts of damaged files into this directory
+                            under the same paths, each with a .bad-ranges file listing its damaged bytes
+  --salvage-fill <text>   Fill the damaged parts of salvaged files with this text repeated instead of zeros
+  --index <file>          Record which file owns every block, and save it to this file for findbad_owner.js
+  --summary <file>        Once the scan is done, write a summary to this file: how many files and bytes are
+                            damaged in each directory including its subdirectories, by type of file,
+                            and the worst subtrees (without --detail, the sizes of the damaged files)
+  --summary-html <file>   Write the same summary as a standalone HTML page
+  --summary-top <n>       How many of the worst subtrees the summary lists (default 10)
+  --compare-mapfile <file> Scan with this earlier mapfile as well as --mapfile, and instead of a report,
+                            list the files recovered since, still damaged and newly found (implies --detail)
+  --state-file <file>     Save scan progress to this file regularly and on Ctrl-C, and resume from it
+                            if it already exists
+  --backend <name>        How to read the filesystem: "native" reads the device directly (default),
+                            "debugfs" drives a debugfs session
+  --debugfs-timeout <s>   Restart debugfs if a command takes longer than this many seconds (default 60).
+                            Commands that fail 3 times are reported as unreadable metadata
+  --jobs <n>              Read through n backend sessions (such as debugfs processes) at once, checking
+                            several directories and files in parallel. The report is then sorted by path
+                            and printed once each filesystem is done (default 1)
+  -h, --help              Show this message`;
+
+const parseCommandLine = () => {
+    const { values, positionals } = parseArgs({
+        options: {
+            'mapfile': { type: 'string' },
+            'bad-statuses': { type: 'string', default: DEFAULT_BAD_STATUSES },
+            'offset': { type: 'string', default: '0' },
+            'fill-marker': { type: 'string' },
+            'sector-size': { type: 'string', default: '512' },
+            'backend': { type: 'string', default: 'native' },
+            'detail': { type: 'boolean', default: false },
+            'orphans': { type: 'boolean', default: false },
+            'format': { type: 'string', default: 'text' },
+            'state-file': { type: 'string' },
+            'index': { type: 'string' },
+            'summary': { type: 'string' },
+            'summary-html': { type: 'string' },
+            'summary-top': { type: 'string', default: '10' },
+            'salvage': { type: 'string' },
+            'salvage-fill': { type: 'string', default: '' },
+            'root': { type: 'string' },
+            'include': { type: 'string', multiple: true, default: [] },
+            'exclude': { type: 'string', multiple: true, default: [] },
+            'max-depth': { type: 'string' },
+            'domain-mapfile': { type: 'string' },
+            'domain-path': { type: 'string', multiple: true, default: [] },
+            'compare-mapfile': { type: 'string' },
+            'jobs': { type: 'string', default: '1' },
+            'debugfs-timeout': { type: 'string', default: '60' },
+            'partition': { type: 'string' },
+            'list-partitions': { type: 'boolean', default: false },
+            'help': { type: 'boolean', short: 'h' },
         },
-    };
-};
-
-let promiseForDebugfsExit, debugfsStdin, debugfs;
-
-const openDebugfs = async (device) => {
-    const { result, stdin, stdout } = await new Shell().cmd(`debugfs -c ${device} 2>&1`, { shell: true, stdin: 'return', stdout: 'return' });
-    promiseForDebugfsExit = result;
-    debugfsStdin = stdin;
-    debugfs = expect(stdout, 'debugfs:');
-    // Discard first prompt
-    void debugfs.next().catch(() => {});
-};
-
-const sendDebugfsCommand = cmd => debugfsStdin.write(cmd + '\n');
-
-let mostRecentCmdResponseInFull = '';
-const debugfsCmd = async cmd => {
-    sendDebugfsCommand(cmd);
-    const s = mostRecentCmdResponseInFull = await debugfs.next();
-    // Skip the first line because it always only contains the prompt and command
-    const match = s.match(/(?<=\n)(?:.|\s)*/);
-    if (!match) throw new Error(`Got weird response for "${cmd}": ${JSON.stringify(s)}`);
-    return match[0];
-};
-
-const getStartOfInodeTableByGroup = async () => {
-    const result = await debugfsCmd('stats');
-    if (!result.includes('Filesystem features')) {
-        throw new Error(`Unexpected response from debugfs: ${JSON.stringify(mostRecentCmdResponseInFull)}, also found ${JSON.stringify(debugfs.found)}`);
-    }
-    const regex = /Group +(\d+): [^\n\r]* inode table at (\d+)/g;
-    const map = new Map();
-    let match;
-    while ((match = regex.exec(result))) map.set(+match[1], 4096 * +match[2]);
-    return map;
-};
-
-const getAddressOfInode = inode => {
-    const group = Math.floor((inode - 1) / 8028);
-    const index = (inode - 1) % 8028;
-    const startOfInodeTable = startOfInodeTableByGroup.get(group);
-    if (startOfInodeTable == null) throw new Error(`Group ${group} was calculated but doesn't exist!!!`);
-    return startOfInodeTable + (index * 256);
-};
-
-const parseHexRegex = /^([0-7]{4})  (\w\w\w\w) (\w\w\w\w) (\w\w\w\w) (\w\w\w\w) (\w\w\w\w) (\w\w\w\w) (\w\w\w\w) (\w\w\w\w)/gm;
-
-// Get this with the "id" debugfs command
-const parseHex = (size, hex) => {
-    const buffer = Buffer.alloc(size);
-    let match;
-    while ((match = parseHexRegex.exec(hex))) {
-        const start = parseInt(match[1], 8);
-        for (let i = 0; i < 16; i++) {
-            buffer[start + i] = parseInt(match[Math.floor(i / 2) + 2].substr((i % 2) * 2, 2), 16);
-        }
-    }
-    return buffer;
-};
-
-const S_IFDIR = 0x4000;
-const S_IFREG = 0x8000;
-const S_EXTENTS = 0x080000;
-
-class InodeInfo {
-    constructor(id, name, hex) {
-        this.id = id;
-        this.name = name;
-        this.buf = parseHex(256, hex);
-    }
-
-    get isDir() {
-        return Boolean(this.buf.readUint16LE() & S_IFDIR);
-    }
+        allowPositionals: true,
+    });
 
-    get isFile() {
-        return Boolean(this.buf.readUint16LE() & S_IFREG);
+    if (values.help) {
+        console.log(usage);
+        process.exit(0);
     }
-
-    get usesExtents() {
-        return Boolean(this.buf.readUint32LE(0x20) & S_EXTENTS);
+    if (positionals.length !== 1) throw new Error(`You must provide the target device as the only argument\n\n${usage}`);
+    if (values['domain-path'].length > 0 && !values['domain-mapfile']) throw new Error('--domain-path only makes sense with --domain-mapfile');
+    if (values['salvage-fill'] && !values.salvage) throw new Error('--salvage-fill only makes sense with --salvage');
+    if (!values.mapfile && !values['fill-marker'] && !values['list-partitions']) throw new Error(`You must provide a mapfile with --mapfile or a fill marker with --fill-marker\n\n${usage}`);
+
+    const badStatuses = values['bad-statuses'];
+    for (const status of badStatuses) {
+        if (!Object.values(STATUS).includes(status)) throw new Error(`Unknown mapfile status ${JSON.stringify(status)} in --bad-statuses`);
     }
 
-    get blocksInUse() {
-        const bytes = this.buf.readUint32LE(0x04);
-        // Blocks are 4096 bytes
-        return Math.ceil(bytes / 4096);
-    }
+    const offset = parseMapfileNumber(values.offset);
+    if (Number.isNaN(offset)) throw new Error(`Invalid --offset ${JSON.stringify(values.offset)}`);
 
-    get_i_block() {
-        return this.buf.slice(0x28, 0x28 + 60);
-    }
+    const sectorSize = parseMapfileNumber(values['sector-size']);
+    if (!(sectorSize > 0)) throw new Error(`Invalid --sector-size ${JSON.stringify(values['sector-size'])}`);
+    const fillMarker = values['fill-marker'] == null ? null : Buffer.from(values['fill-marker']);
+    if (fillMarker && !(fillMarker.length > 0 && fillMarker.length <= sectorSize)) throw new Error(`--fill-marker must be 1 to ${sectorSize} bytes long`);
 
-    async dataIsSafe() {
-        const i_block = this.get_i_block();
-        if (this.usesExtents) return await this.extentsAreSafe(i_block);
-        return await this.blocksAreSafe(i_block);
-    }
+    if (!BACKENDS[values.backend]) throw new Error(`Unknown --backend ${JSON.stringify(values.backend)}, expected one of ${Object.keys(BACKENDS).join(', ')}`);
 
-    async extentsAreSafe(buf) {
-        const entryCount = buf.readUint16LE(0x02);
-        const depth = buf.readUint16LE(0x06);
-        const leaf = depth === 0;
+    if (!FORMATS.includes(values.format)) throw new Error(`Unknown --format ${JSON.stringify(values.format)}, expected one of ${FORMATS.join(', ')}`);
 
-        for (let i = 0; i < entryCount; i++) {
-            if (leaf) {
-                const firstBlockNum = buf.readUint32LE(12 * (i + 1) + 0x08);
-                const blockCount = buf.readUint16LE(12 * (i + 1) + 0x04);
-                if (!rangeIsSafe(firstBlockNum * 4096, (firstBlockNum + blockCount) * 4096)) return false;
-            }
-            else {
-                const child = buf.readUint32LE(12 * (i + 1) + 0x04);
-                const childBlock = parseHex(4096, await debugfsCmd(`bd ${child}`));
-                if (!(await this.extentsAreSafe(childBlock))) return false;
-            }
+    const compareMapfile = values['compare-mapfile'];
+    if (compareMapfile) {
+        if (values['state-file'] || values.index || values['domain-mapfile'] || values.salvage || fillMarker || values.summary || values['summary-html']) {
+            throw new Error('--compare-mapfile can\'t be combined with --state-file, --index, --domain-mapfile, --salvage, --fill-marker or --summary');
         }
-
-        return true;
+        if (!COMPARISON_FORMATS.includes(values.format)) throw new Error(`--compare-mapfile only supports --format ${COMPARISON_FORMATS.join(', ')}`);
     }
 
-    async blocksAreSafe(i_block) {
-        const blocksInUse = this.blocksInUse;
-        const directBlocks = Math.min(12, blocksInUse);
+    const maxDepth = values['max-depth'] == null ? null : +values['max-depth'];
+    if (maxDepth != null && !(Number.isInteger(maxDepth) && maxDepth >= 0)) throw new Error(`Invalid --max-depth ${JSON.stringify(values['max-depth'])}`);
 
-        for (let i = 0; i < directBlocks; i++) {
-            const blockNum = i_block.readUint32LE(i * 4);
-            if (!blockIsSafe(blockNum)) return false;
-        }
+    const jobs = +values.jobs;
+    if (!(Number.isInteger(jobs) && jobs > 0)) throw new Error(`Invalid --jobs ${JSON.stringify(values.jobs)}`);
 
-        const level1Blocks = Math.min(blockCounts.L1, blocksInUse - directBlocks);
+    const timeout = +values['debugfs-timeout'];
+    if (!(timeout > 0)) throw new Error(`Invalid --debugfs-timeout ${JSON.stringify(values['debugfs-timeout'])}`);
 
-        if (level1Blocks <= 0) return true;
-        const safeL1 = await this.blocksL1AreSafe(i_block.readUint32LE(12 * 4), level1Blocks);
-        if (!safeL1) return false;
+    const summaryTop = +values['summary-top'];
+    if (!(Number.isInteger(summaryTop) && summaryTop >= 0)) throw new Error(`Invalid --summary-top ${JSON.stringify(values['summary-top'])}`);
 
-        const level2Blocks = Math.min(blockCounts.L2, blocksInUse - directBlocks - level1Blocks);
+    const partition = values.partition == null ? null : +values.partition;
+    if (partition != null && !(Number.isInteger(partition) && partition > 0)) throw new Error(`Invalid --partition ${JSON.stringify(values.partition)}`);
 
-        if (level2Blocks <= 0) return true;
-        const safeL2 = await this.blocksL2AreSafe(i_block.readUint32LE(13 * 4), level2Blocks);
-        if (!safeL2) return false;
+    return {
+        device: positionals[0],
+        mapfile: values.mapfile,
+        badStatuses,
+        offset,
+        fillMarker,
+        sectorSize,
+        backend: values.backend,
+        detail: values.detail || Boolean(compareMapfile),
+        orphans: values.orphans,
+        format: values.format,
+        stateFile: values['state-file'],
+        indexFile: values.index,
+        summaryFile: values.summary,
+        summaryHtmlFile: values['summary-html'],
+        summaryTop,
+        salvage: values.salvage,
+        salvageFill: Buffer.from(values['salvage-fill']),
+        root: values.root ?? '/',
+        include: values.include,
+        exclude: values.exclude,
+        maxDepth,
+        domainMapfile: values['domain-mapfile'],
+        domainPaths: values['domain-path'],
+        compareMapfile,
+        jobs,
+        timeout: timeout * 1000,
+        partition,
+        listPartitions: values['list-partitions'],
+    };
+};
 
-        const level3Blocks = Math.min(blockCounts.L3, blocksInUse - directBlocks - level1Blocks - level2Blocks);
+/**
+ * Work out which filesystems on `device` to scan: the device itself if it is an ext
+ * filesystem, otherwise the ext partitions in its partition table (or just `partitionNumber`).
+ * Returns [{ partition, start }], where `partition` is null for a bare filesystem and `start`
+ * is the byte offset of the filesystem within the device. With a `fillMarker`, sectors filled
+ * with it count as unreadable, like zeroed ones, when looking for superblocks.
+ */
+const findFilesystems = async (device, partitionNumber, listOnly, { fillMarker, sectorSize }) => {
+    const isExt = async start => {
+        const markers = fillMarker && FillMarkerScanner.open(device, { marker: fillMarker, sectorSize, offset: start });
+        try {
+            return await isExtFilesystem(device, start, markers ? (first, end) => markers.rangeIsSafe(first, end) : undefined);
+        }
+        finally {
+            markers?.close();
+        }
+    };
 
-        if (level3Blocks <= 0) return true;
-        const safeL3 = await this.blocksL3AreSafe(i_block.readUint32LE(14 * 4), level3Blocks);
-        return safeL3;
+    if (await isExt(0)) {
+        if (partitionNumber != null) throw new Error(`${device} is a filesystem, not a partitioned disk, so --partition can't be used`);
+        if (listOnly) console.error(`${device} is a filesystem, not a partitioned disk`);
+        return [{ partition: null, start: 0 }];
     }
 
-    async blocksL1AreSafe(blockNum, level1Blocks) {
-        const buffer = parseHex(4096, await debugfsCmd(`bd ${blockNum}`));
+    const table = await readPartitionTable(device);
+    if (!table) throw new Error(`${device} is neither an ext2/3/4 filesystem nor a disk with an MBR or GPT partition table`);
 
-        for (let i = 0; i < level1Blocks; i++) {
-            if (!blockIsSafe(buffer.readUint32LE(i * 4))) return false;
-        }
+    console.error(`Partitions on ${device} (${table.scheme.toUpperCase()}):`);
+    const filesystems = [];
+    for (const { number, start, size, type, name } of table.partitions) {
+        const found = await isExt(start);
+        if (found) filesystems.push({ partition: number, start });
+        console.error(`  ${number}: start ${start}, size ${size}, type ${type}${name ? `, "${name}"` : ''}${found ? ', ext filesystem' : ''}`);
+    }
 
-        return true;
+    if (partitionNumber == null) {
+        if (filesystems.length === 0 && !listOnly) throw new Error(`None of the partitions on ${device} contain an ext2/3/4 filesystem`);
+        return filesystems;
     }
+    if (!table.partitions.some(p => p.number === partitionNumber)) throw new Error(`${device} has no partition ${partitionNumber}`);
+    const chosen = filesystems.filter(fs => fs.partition === partitionNumber);
+    if (chosen.length === 0) throw new Error(`Partition ${partitionNumber} on ${device} does not contain an ext2/3/4 filesystem`);
+    return chosen;
+};
+
+// Status line on stderr while a filesystem is scanned, when that is a terminal
+let progress = null;
 
-    async blocksL2AreSafe(blockNum, level2Blocks) {
-        const buffer = parseHex(4096, await debugfsCmd(`bd ${blockNum}`));
-        const pointers = Math.ceil(level2Blocks / blockIdsPerBlock);
+const log = message => {
+    progress?.clear();
+    console.error(message);
+};
 
-        for (let i = 0; i < pointers; i++) {
-            const pointer = buffer.readUint32LE(i * 4);
-            if (!blockIsSafe(pointer)) return false;
-            const level1Blocks = (Math.min(level2Blocks, (i + 1) * blockIdsPerBlock) % blockIdsPerBlock) || blockIdsPerBlock;
-            if (!(await this.blocksL1AreSafe(pointer, level1Blocks))) return false;
+const main = async () => {
+    const { device, mapfile, badStatuses, offset, format, stateFile, indexFile, summaryFile, summaryHtmlFile, summaryTop, domainMapfile, domainPaths, compareMapfile, partition, listPartitions, ...options } = parseCommandLine();
+    statSync(device);
+    const filesystems = await findFilesystems(device, partition, listPartitions, options);
+    if (listPartitions) return;
+
+    const map = mapfile ? readMapfile(mapfile) : null;
+
+    // Stop after the current directory so progress can be saved, or right away on a second Ctrl-C
+    const stop = new AbortController();
+    const kill = new AbortController();
+    process.on('SIGINT', () => {
+        if (stop.signal.aborted) {
+            kill.abort();
+            process.exit(130);
         }
+        stop.abort();
+        log('Interrupted, stopping after the current directory (Ctrl-C again to quit now)');
+    });
 
-        return true;
+    const scanOptions = {
+        ...options,
+        device,
+        filesystems,
+        badStatuses,
+        offset,
+        stateFile,
+        index: Boolean(indexFile),
+        rollup: Boolean(summaryFile || summaryHtmlFile),
+        // Without patterns, every damaged file is included
+        domainFilter: domainMapfile ? (domainPaths.length > 0 ? pathMatcher(domainPaths) : () => true) : null,
+        signal: stop.signal,
+        killSignal: kill.signal,
+    };
+    if (compareMapfile) {
+        const before = [], after = [];
+        console.error(`Scanning with ${compareMapfile}`);
+        await scanFilesystems(readMapfile(compareMapfile), scanOptions, finding => before.push(finding));
+        if (!stop.signal.aborted) console.error(`Scanning with ${mapfile}`);
+        if (!stop.signal.aborted) await scanFilesystems(map, scanOptions, finding => after.push(finding));
+        if (!stop.signal.aborted) writeComparison(compareScans(before, after), format);
     }
-
-    async blocksL3AreSafe(blockNum, level3Blocks) {
-        const buffer = parseHex(4096, await debugfsCmd(`bd ${blockNum}`));
-        const pointers = Math.ceil(level3Blocks / (blockIdsPerBlock ** 2));
-
-        for (let i = 0; i < pointers; i++) {
-            const pointer = buffer.readUint32LE(i * 4);
-            if (!blockIsSafe(pointer)) return false;
-            const level2Blocks = (Math.min(level3Blocks, (i + 1) * (blockIdsPerBlock ** 2)) % (blockIdsPerBlock ** 2)) || (blockIdsPerBlock ** 2);
-            if (!(await this.blocksL2AreSafe(pointer, level2Blocks))) return false;
+    else {
+        const reporter = createReporter(format);
+        const { indexes, domain, tallies } = await scanFilesystems(map, scanOptions, reporter.finding);
+        if (indexFile && !stop.signal.aborted) saveOwnerIndex(indexFile, device, indexes);
+        if ((summaryFile || summaryHtmlFile) && !stop.signal.aborted) {
+            const rollup = buildRollup(tallies, { top: summaryTop });
+            if (summaryFile) writeFileSync(summaryFile, formatRollupText(rollup));
+            if (summaryHtmlFile) writeFileSync(summaryHtmlFile, formatRollupHtml(rollup, { title: `Damage summary of ${device}` }));
         }
-
-        return true;
+        if (domainMapfile && !stop.signal.aborted) writeFileSync(domainMapfile, formatDomainMapfile(mergeRanges(domain)));
     }
-}
-
-const blockCounts = {
-    L1: 1024,
-    L2: 1024 ** 2,
-    L3: 1024 ** 3,
-};
 
-const badRanges = [
-    { start: 0x23bad54000, length: 0x294000 },
-    { start: 0x23ef054000, length: 0x294000 },
-    { start: 0x23ef654000, length: 0x294000 },
-    { start: 0x23feadc000, length: 0x294000 },
-    { start: 0x241f9dc000, length: 0x1539973e00 },
-    { start: 0x398da03000, length: 0x0a00 },
-];
-
-const rangeIsSafe = (start, end) => {
-    for (const range of badRanges) {
-        // Overlaps this bad range
-        if (end > range.start && start < (range.start + range.length)) return false;
+    if (stop.signal.aborted) {
+        console.error(stateFile ? 'Progress saved, run the same command again to resume' : 'Scan incomplete');
+        process.exitCode = 130;
     }
-
-    // Not overlapping any bad ranges
-    return true;
 };
 
-const blockIsSafe = blockNum => {
-    const safe = rangeIsSafe(blockNum * 4096, (blockNum + 1) * 4096);
-    // console.log(`Block ${blockNum} is ${safe ? 'safe' : 'not safe'}`);
-    return safe;
-};
+/**
+ * Scan each of `filesystems` for the bad regions of `map`, passing findings to `report` as they
+ * are found. Returns the block-owner indexes, domain ranges and file tallies of the filesystems
+ * that were done.
+ */
+const scanFilesystems = async (map, { device, filesystems, badStatuses, offset, stateFile, ...options }, report) => {
+    const indexes = [];
+    const domain = [];
+    const tallies = [];
+    let withoutRoot = 0;
+    for (const { partition, start } of filesystems) {
+        if (options.signal.aborted) break;
+        log(partition == null ? `Reading ${device}` : `Reading partition ${partition} of ${device}`);
+        const scan = scanFilesystem({
+            ...options,
+            device,
+            offset: start,
+            partition,
+            // Mapfile positions are relative to the whole device, so shift them by where this filesystem starts
+            badRanges: map ? badRangesFromMapfile(map, { statuses: badStatuses, offset: offset + start }) : [],
+            mapfileStart: offset + start,
+            stateFile: stateFile && partition != null ? `${stateFile}.part${partition}` : stateFile,
+            log,
+        });
+
+        progress = new ProgressLine(() => {
+            const sample = scan.progress;
+            return sample && { time: Date.now(), ...sample };
+        }, { rateUnit: options.backend === 'debugfs' ? 'debugfs commands/s' : 'reads/s' });
+        progress.start();
+        // In parallel scans the order findings turn up in depends on timing, so they are sorted
+        const held = [];
+        try {
+            for await (const finding of scan) {
+                if (options.jobs > 1) {
+                    held.push(finding);
+                    continue;
+                }
+                progress.clear();
+                report(finding);
+            }
+        }
+        finally {
+            progress.stop();
+            progress = null;
+            for (const finding of sortFindings(held)) report(finding);
+        }
 
-const inodeIsSafe = inode => {
-    const address = getAddressOfInode(inode);
-    return rangeIsSafe(address, address + 256);
+        if (scan.rootMissing) {
+            withoutRoot++;
+            if (partition != null) log(`There is no directory ${options.root} on partition ${partition}, skipping it`);
+        }
+        if (scan.index) indexes.push(scan.index);
+        if (scan.domain) domain.push(...scan.domain);
+        if (scan.tally) tallies.push({ partition, tally: scan.tally });
+        if (scan.disagreements && map) reportMarkerDisagreements(scan.disagreements, offset + start);
+    }
+    if (withoutRoot === filesystems.length) throw new Error(`There is no directory ${options.root} on ${device}`);
+    return { indexes, domain, tallies };
 };
 
-const dirEntryRegex = /^\/(\d+)\/\d+\/\d+\/\d+\/([^\/]+)/gm;
-
-const getDirEntries = async inode => {
-    const listing = await debugfsCmd(`ls -p <${inode}>`);
-    const entries = [];
-    let match;
+// Disagreements after these are only counted
+const MAX_LISTED_DISAGREEMENTS = 20;
 
-    while ((match = dirEntryRegex.exec(listing))) {
-        const inode = +match[1];
-        const name = match[2];
-        if (name === '.' || name === '..') continue;
-        entries.push({ inode, name });
+/**
+ * Say where the fill markers and the mapfile disagree about what is bad, within the parts of the
+ * filesystem the scan read, with positions shifted by `mapfileStart` into the mapfile's.
+ */
+const reportMarkerDisagreements = ({ markedOnly, listedOnly }, mapfileStart) => {
+    const disagreements = [
+        ...markedOnly.map(range => ({ ...range, what: 'marked, but not bad in the mapfile' })),
+        ...listedOnly.map(range => ({ ...range, what: 'bad in the mapfile, but not marked' })),
+    ].sort((a, b) => a.start - b.start);
+    if (disagreements.length === 0) {
+        console.error('The fill markers agree with the mapfile');
+        return;
     }
-
-    return entries;
+    console.error(`The fill markers and the mapfile disagree in ${disagreements.length} place${disagreements.length > 1 ? 's' : ''}:`);
+    for (const { start, length, what } of disagreements.slice(0, MAX_LISTED_DISAGREEMENTS)) {
+        console.error(`  ${hex(mapfileStart + start)}  ${hex(length)}  ${what}`);
+    }
+    if (disagreements.length > MAX_LISTED_DISAGREEMENTS) console.error(`  and ${disagreements.length - MAX_LISTED_DISAGREEMENTS} more`);
 };
 
-const blockIdsPerBlock = 4096 / 4;
-const ROOT_DIR_INODE = 2;
-let startOfInodeTableByGroup;
-const inodesVisited = new Set();
-
-const main = async () => {
-    const device = process.argv[2];
-    if (!device) throw new Error('You must provide the target device as the only argument');
-    require('fs').statSync(device);
-    console.log(`Reading ${device}`);
-    await openDebugfs(device);
-    // Now you can start interacting with the filesystem
-    startOfInodeTableByGroup = await getStartOfInodeTableByGroup();
-    // Now you can call getAddressOfInode
-    const rootDirInfo = new InodeInfo(ROOT_DIR_INODE, '', await debugfsCmd(`id <${ROOT_DIR_INODE}>`));
-    await recurse('', rootDirInfo);
-    debugfs.dispose();
-    debugfsStdin.end();
-    await promiseForDebugfsExit;
-};
+const comparePaths = (a, b) => a < b ? -1 : a > b ? 1 : 0;
 
-const recurse = async (path, inodeInfo) => {
-    const dataIsSafe = await inodeInfo.dataIsSafe();
-    if (!dataIsSafe) {
-        console.log(`BAD ${path ?? '/'}`);
-        return;
+const sortFindings = findings => {
+    for (const finding of findings) {
+        if (!finding.paths) continue;
+        finding.paths.sort(comparePaths);
+        finding.path = finding.paths[0];
     }
+    return [...findings].sort((a, b) => comparePaths(a.path, b.path));
+};
 
-    const entries = await getDirEntries(inodeInfo.id);
-
-    const safeEntries = entries.filter(entry => {
-        const safe = inodeIsSafe(entry.inode);
-        if (!safe) console.log(`BAD ${path}/${entry.name}`);
-        return safe;
+// The scan itself is in scan.js, so other tools can run it without the command line
+if (require.main === module) {
+    main().catch(err => {
+        console.error(err.message);
+        process.exitCode = 1;
     });
+}
 
-    const safeEntryInfos = await Promise.all(safeEntries.map(async entry =>
-        new InodeInfo(entry.inode, entry.name, await debugfsCmd(`id <${entry.inode}>`))
-    ));
-
-    for (const entryInfo of safeEntryInfos) {
-        if (inodesVisited.has(entryInfo.id)) continue;
-        inodesVisited.add(entryInfo.id);
-
-        if (entryInfo.isFile) {
-            if (!(await entryInfo.dataIsSafe())) {
-                console.log(`BAD ${path}/${entryInfo.name}`);
-                continue;
-            }
-        }
-
-        if (entryInfo.isDir) {
-            await recurse(`${path}/${entryInfo.name}`, entryInfo);
-            continue;
-        }
-
-        // Files that are not regular files or directories don't matter
-        continue;
-    }
+module.exports = {
+    scanFilesystem,
 };
-
-main();
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+const { readFileSync } = require('fs');
+const { parseArgs } = require('util');
+const { parseReport } = require('./report');
+const { COMPARISON_FORMATS, compareScans, writeComparison } = require('./diff');
+
+const usage = `Usage: findbad_diff.js [options] <earlier report> <later report>
+
+Compare two reports saved from findbad_catastrophic.js, for example before and after another
+ddrescue pass, and list the files that were recovered, are still damaged and were newly found.
+Reports can be in any of its output formats, but with text reports files can only be matched
+by path. Use --detail for the scans to see how many damaged bytes are left.
+
+To compare two mapfiles of the same image without saving reports, use
+findbad_catastrophic.js --compare-mapfile instead.
+
+Options:
+  --format <format>       Output format: ${COMPARISON_FORMATS.join(', ')} (default text)
+  -h, --help              Show this message`;
+
+const parseCommandLine = () => {
+    const { values, positionals } = parseArgs({
+        options: {
+            'format': { type: 'string', default: 'text' },
+            'help': { type: 'boolean', short: 'h' },
+        },
+        allowPositionals: true,
+    });
+
+    if (values.help) {
+        console.log(usage);
+        process.exit(0);
+    }
+    if (positionals.length !== 2) throw new Error(`You must provide two reports to compare\n\n${usage}`);
+    if (!COMPARISON_FORMATS.includes(values.format)) throw new Error(`Unknown --format ${JSON.stringify(values.format)}, expected one of ${COMPARISON_FORMATS.join(', ')}`);
+
+    return { before: positionals[0], after: positionals[1], format: values.format };
+};
+
+const main = () => {
+    const { before, after, format } = parseCommandLine();
+    const read = path => parseReport(readFileSync(path, 'utf-8'));
+    writeComparison(compareScans(read(before), read(after)), format);
+};
+
+try {
+    main();
+}
+catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+}
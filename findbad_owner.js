@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+const { parseArgs } = require('util');
+const { loadOwnerIndex, lookupRange, describeOwner } = require('./owners');
+const { DEFAULT_BAD_STATUSES, STATUS, parseMapfileNumber, readMapfile, badRangesFromMapfile } = require('./mapfile');
+
+const usage = `Usage: findbad_owner.js --index <file> [options] [<position>...]
+
+Say which file or filesystem structure owns each position, using an index saved by
+findbad_catastrophic.js --index. Positions are in the same coordinates as the mapfile the scan used.
+
+Options:
+  --index <file>          Block-owner index to look positions up in
+  --sectors               Positions are LBA sector numbers rather than byte offsets
+  --sector-size <bytes>   Sector size for --sectors (default 512)
+  --mapfile <file>        Look up every bad region of this GNU ddrescue mapfile
+  --bad-statuses <chars>  Mapfile statuses that count as bad (default "${DEFAULT_BAD_STATUSES}")
+  --format <format>       Output format: text or jsonl (default text)
+  -h, --help              Show this message`;
+
+const FORMATS = ['text', 'jsonl'];
+
+const parseCommandLine = () => {
+    const { values, positionals } = parseArgs({
+        options: {
+            'index': { type: 'string' },
+            'sectors': { type: 'boolean', default: false },
+            'sector-size': { type: 'string', default: '512' },
+            'mapfile': { type: 'string' },
+            'bad-statuses': { type: 'string', default: DEFAULT_BAD_STATUSES },
+            'format': { type: 'string', default: 'text' },
+            'help': { type: 'boolean', short: 'h' },
+        },
+        allowPositionals: true,
+    });
+
+    if (values.help) {
+        console.log(usage);
+        process.exit(0);
+    }
+    if (!values.index) throw new Error(`You must provide the index with --index\n\n${usage}`);
+    if (positionals.length === 0 && !values.mapfile) throw new Error(`You must provide positions or a mapfile to look up\n\n${usage}`);
+
+    for (const status of values['bad-statuses']) {
+        if (!Object.values(STATUS).includes(status)) throw new Error(`Unknown mapfile status ${JSON.stringify(status)} in --bad-statuses`);
+    }
+
+    const sectorSize = parseMapfileNumber(values['sector-size']);
+    if (!(sectorSize > 0)) throw new Error(`Invalid --sector-size ${JSON.stringify(values['sector-size'])}`);
+    const unit = values.sectors ? sectorSize : 1;
+
+    const positions = positionals.map(arg => {
+        const position = parseMapfileNumber(arg);
+        if (Number.isNaN(position)) throw new Error(`Invalid position ${JSON.stringify(arg)}`);
+        return position;
+    });
+
+    if (!FORMATS.includes(values.format)) throw new Error(`Unknown --format ${JSON.stringify(values.format)}, expected one of ${FORMATS.join(', ')}`);
+
+    return {
+        indexFile: values.index,
+        unit,
+        ranges: positions.map(position => ({ start: position * unit, length: unit })),
+        mapfile: values.mapfile,
+        badStatuses: values['bad-statuses'],
+        format: values.format,
+    };
+};
+
+// Show a byte range in the units the positions were given in
+const formatRange = (start, length, unit) => {
+    const first = Math.floor(start / unit);
+    const last = Math.ceil((start + length) / unit) - 1;
+    return first === last ? `${first}` : `${first}-${last}`;
+};
+
+const main = () => {
+    const { indexFile, unit, ranges, mapfile, badStatuses, format } = parseCommandLine();
+    const index = loadOwnerIndex(indexFile);
+    if (mapfile) ranges.push(...badRangesFromMapfile(readMapfile(mapfile), { statuses: badStatuses }));
+
+    for (const range of ranges) {
+        for (const { start, length, partition, owner } of lookupRange(index, range.start, range.length)) {
+            if (format === 'jsonl') {
+                process.stdout.write(JSON.stringify({ start, length, partition, ...owner }) + '\n');
+            }
+            else {
+                process.stdout.write(`${formatRange(start, length, unit)} ${describeOwner(owner, partition)}\n`);
+            }
+        }
+    }
+};
+
+try {
+    main();
+}
+catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,81 @@
+const escapeRegExp = s => s.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Convert a shell-style path pattern to a regular expression matching whole paths.
+ * `*` and `?` don't match across "/", `**` does, and `[...]` is a character class.
+ */
+const globToRegExp = pattern => {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === '*' && pattern[i + 1] === '*') {
+            // "/**/" also matches a single "/"
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            }
+            else {
+                source += '.*';
+                i++;
+            }
+        }
+        else if (c === '*') {
+            source += '[^/]*';
+        }
+        else if (c === '?') {
+            source += '[^/]';
+        }
+        else if (c === '[' && pattern.indexOf(']', i + 2) > 0) {
+            const end = pattern.indexOf(']', i + 2);
+            const negated = pattern[i + 1] === '!' || pattern[i + 1] === '^';
+            const body = pattern.slice(negated ? i + 2 : i + 1, end).replace(/[\\\]]/g, '\\$&');
+            source += negated ? `[^/${body}]` : `[${body}]`;
+            i = end;
+        }
+        else {
+            source += escapeRegExp(c);
+        }
+    }
+    return new RegExp(`^${source}$`);
+};
+
+/**
+ * Make a function telling whether a path matches any of `patterns`, or lies below a directory
+ * that does, so "/home/*\/Documents" matches everything in those directories.
+ */
+const pathMatcher = patterns => {
+    const regexps = patterns.map(pattern => globToRegExp(pattern.length > 1 ? pattern.replace(/\/+$/, '') : pattern));
+    return path => {
+        for (let end = path.length; end > 0; end = path.lastIndexOf('/', end - 1)) {
+            const prefix = path.slice(0, end);
+            if (regexps.some(regexp => regexp.test(prefix))) return true;
+        }
+        return regexps.some(regexp => regexp.test('/'));
+    };
+};
+
+/**
+ * Make a function telling whether a directory could contain paths matching any of `patterns`,
+ * going by the leading components of each, so "/home/*\/Documents" leads through "/" and
+ * "/home/alice" but not "/var". A component with `**` can lead anywhere.
+ */
+const pathPrefixMatcher = patterns => {
+    const components = patterns.map(pattern => pattern.replace(/\/+$/, '').split('/').map(part => part.includes('**') ? null : globToRegExp(part)));
+    return dir => {
+        const names = dir.split('/');
+        return components.some(parts => {
+            for (let i = 0; i < names.length; i++) {
+                if (i >= parts.length) return false;
+                if (!parts[i]) return true;
+                if (!parts[i].test(names[i])) return false;
+            }
+            return parts.length > names.length;
+        });
+    };
+};
+
+module.exports = {
+    globToRegExp,
+    pathMatcher,
+    pathPrefixMatcher,
+};
@@ -0,0 +1,136 @@
+const { readFileSync } = require('fs');
+
+/**
+ * Block statuses used in GNU ddrescue mapfiles.
+ */
+const STATUS = {
+    NON_TRIED: '?',
+    NON_TRIMMED: '*',
+    NON_SCRAPED: '/',
+    BAD_SECTOR: '-',
+    FINISHED: '+',
+};
+
+// Everything ddrescue has not successfully read
+const DEFAULT_BAD_STATUSES = '-*/?';
+
+// ddrescue writes hex, but accepts decimal and octal like strtoll with base 0
+const parseMapfileNumber = s => {
+    if (/^0x[0-9a-f]+$/i.test(s)) return parseInt(s.substring(2), 16);
+    if (/^0[0-7]+$/.test(s)) return parseInt(s.substring(1), 8);
+    if (/^\d+$/.test(s)) return parseInt(s, 10);
+    return NaN;
+};
+
+/**
+ * Parse the text of a ddrescue mapfile.
+ * Comment lines start with '#'. The first data line is the current position line
+ * ("pos status [pass]"), and every line after it is a block line ("pos size status").
+ */
+const parseMapfile = text => {
+    const mapfile = { currentPos: null, currentStatus: null, currentPass: null, blocks: [] };
+    const lines = text.split(/\r\n|\n|\r/);
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].replace(/#.*/, '').trim();
+        if (!line) continue;
+        const fields = line.split(/\s+/);
+
+        if (mapfile.currentPos == null) {
+            if (fields.length < 2 || fields.length > 3) throw new Error(`Mapfile line ${i + 1}: expected current position line, got ${JSON.stringify(lines[i])}`);
+            mapfile.currentPos = parseMapfileNumber(fields[0]);
+            mapfile.currentStatus = fields[1];
+            mapfile.currentPass = fields.length > 2 ? +fields[2] : 1;
+            if (Number.isNaN(mapfile.currentPos)) throw new Error(`Mapfile line ${i + 1}: bad position ${JSON.stringify(fields[0])}`);
+            continue;
+        }
+
+        if (fields.length !== 3) throw new Error(`Mapfile line ${i + 1}: expected "pos size status", got ${JSON.stringify(lines[i])}`);
+        const pos = parseMapfileNumber(fields[0]);
+        const size = parseMapfileNumber(fields[1]);
+        const status = fields[2];
+        if (Number.isNaN(pos) || Number.isNaN(size)) throw new Error(`Mapfile line ${i + 1}: bad number in ${JSON.stringify(lines[i])}`);
+        if (!Object.values(STATUS).includes(status)) throw new Error(`Mapfile line ${i + 1}: unknown status ${JSON.stringify(status)}`);
+        mapfile.blocks.push({ pos, size, status });
+    }
+
+    if (mapfile.currentPos == null) throw new Error('Mapfile contains no current position line');
+    return mapfile;
+};
+
+const readMapfile = path => parseMapfile(readFileSync(path, 'utf-8'));
+
+/**
+ * Sort ranges and merge the ones that overlap or touch, so lookups can binary search.
+ */
+const mergeRanges = ranges => {
+    const sorted = ranges.filter(r => r.length > 0).sort((a, b) => a.start - b.start);
+    const merged = [];
+
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.start + last.length) {
+            last.length = Math.max(last.length, range.start + range.length - last.start);
+        }
+        else {
+            merged.push({ start: range.start, length: range.length });
+        }
+    }
+
+    return merged;
+};
+
+/**
+ * Get the bad ranges of a mapfile, relative to the start of the filesystem.
+ * `statuses` is a string of the status characters that count as bad.
+ * `offset` is where the filesystem starts within the rescued device, in bytes.
+ * Parts of bad blocks that fall before the filesystem are dropped.
+ */
+const badRangesFromMapfile = (mapfile, { statuses = DEFAULT_BAD_STATUSES, offset = 0 } = {}) => {
+    const ranges = [];
+
+    for (const block of mapfile.blocks) {
+        if (!statuses.includes(block.status)) continue;
+        const start = Math.max(block.pos - offset, 0);
+        const end = block.pos + block.size - offset;
+        if (end <= start) continue;
+        ranges.push({ start, length: end - start });
+    }
+
+    return mergeRanges(ranges);
+};
+
+const hex = n => `0x${n.toString(16).toUpperCase().padStart(8, '0')}`;
+
+/**
+ * Write a mapfile in which `ranges` are finished and everything before and between them is
+ * non-tried, for use as a ddrescue domain mapfile (`--domain-mapfile`), where only the
+ * finished blocks are in the domain. `ranges` must be sorted and not overlap.
+ */
+const formatDomainMapfile = ranges => {
+    const lines = [
+        '# Domain mapfile. Created by findbad_catastrophic',
+        '# current_pos  current_status  current_pass',
+        `${hex(ranges.length > 0 ? ranges[0].start : 0)}     ${STATUS.FINISHED}               1`,
+        '#      pos        size  status',
+    ];
+    let pos = 0;
+    for (const range of ranges) {
+        if (range.start > pos) lines.push(`${hex(pos)}  ${hex(range.start - pos)}  ${STATUS.NON_TRIED}`);
+        lines.push(`${hex(range.start)}  ${hex(range.length)}  ${STATUS.FINISHED}`);
+        pos = range.start + range.length;
+    }
+    return lines.join('\n') + '\n';
+};
+
+module.exports = {
+    STATUS,
+    DEFAULT_BAD_STATUSES,
+    parseMapfileNumber,
+    parseMapfile,
+    readMapfile,
+    mergeRanges,
+    badRangesFromMapfile,
+    formatDomainMapfile,
+    hex,
+};
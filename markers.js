@@ -0,0 +1,147 @@
+const { closeSync, openSync, readSync } = require('fs');
+const { mergeRanges } = require('./mapfile');
+
+// The image is read this much at a time, since the scan tends to look at neighbouring blocks next
+const CHUNK_SIZE = 1024 * 1024;
+
+// The parts of sorted, merged `ranges` that aren't in sorted, merged `removed`
+const subtractRanges = (ranges, removed) => {
+    const result = [];
+    let i = 0;
+    for (const range of ranges) {
+        let start = range.start;
+        const end = range.start + range.length;
+        while (i < removed.length && removed[i].start + removed[i].length <= start) i++;
+        for (let j = i; j < removed.length && removed[j].start < end; j++) {
+            if (removed[j].start > start) result.push({ start, length: removed[j].start - start });
+            start = Math.max(start, removed[j].start + removed[j].length);
+        }
+        if (start < end) result.push({ start, length: end - start });
+    }
+    return result;
+};
+
+// The parts of sorted, merged `ranges` that are also in sorted, merged `within`
+const intersectRanges = (ranges, within) => subtractRanges(ranges, subtractRanges([{ start: 0, length: Infinity }], within));
+
+/**
+ * Finds the bad regions of an image from the marker `ddrescue --fill-mode` wrote into them,
+ * instead of from a mapfile. A sector counts as bad if it holds nothing but the marker repeated,
+ * in whatever phase, since ddrescue starts the pattern afresh at each block it fills. The image
+ * is only read where the scan asks about it, and reads are synchronous so the checks can stay so.
+ */
+class FillMarkerScanner {
+    #fd;
+    #offset;
+    #sectorSize;
+    #marker;
+    // The marker repeated over a whole sector, starting at each position within it
+    #patterns;
+    // Bit per chunk that has been read
+    #checked = new Uint8Array(1024);
+    // Chunk number to the bad ranges in it, for chunks that have any
+    #bad = new Map();
+
+    /**
+     * `marker` is a Buffer no longer than `sectorSize`, and `offset` is where the filesystem
+     * starts within `device`, in bytes.
+     */
+    static open(device, { marker, sectorSize = 512, offset = 0 }) {
+        if (marker.length === 0 || marker.length > sectorSize) throw new Error(`The fill marker must be 1 to ${sectorSize} bytes long`);
+        const scanner = new FillMarkerScanner();
+        scanner.#fd = openSync(device, 'r');
+        scanner.#offset = offset;
+        scanner.#sectorSize = sectorSize;
+        scanner.#marker = marker;
+        scanner.#patterns = Array.from({ length: marker.length }, (_, shift) => {
+            const pattern = Buffer.alloc(sectorSize);
+            pattern.fill(Buffer.concat([marker.subarray(shift), marker.subarray(0, shift)]));
+            return pattern;
+        });
+        return scanner;
+    }
+
+    #isMarked(sector) {
+        // Wherever the phase, the marker starts within its length of the sector start
+        const first = sector.subarray(0, 2 * this.#marker.length - 1).indexOf(this.#marker);
+        if (first < 0) return false;
+        return sector.equals(this.#patterns[(this.#marker.length - first) % this.#marker.length]);
+    }
+
+    #isChecked(chunk) {
+        return Boolean(this.#checked[Math.floor(chunk / 8)] & (1 << chunk % 8));
+    }
+
+    #check(chunk) {
+        if (this.#isChecked(chunk)) return;
+        const byte = Math.floor(chunk / 8);
+        if (byte >= this.#checked.length) {
+            const grown = new Uint8Array(Math.max(this.#checked.length * 2, byte + 1));
+            grown.set(this.#checked);
+            this.#checked = grown;
+        }
+        this.#checked[byte] |= 1 << chunk % 8;
+
+        const buf = Buffer.alloc(CHUNK_SIZE);
+        const length = readSync(this.#fd, buf, 0, CHUNK_SIZE, this.#offset + chunk * CHUNK_SIZE);
+        const ranges = [];
+        // A partial sector at the end of the device can't be told apart from data
+        for (let position = 0; position + this.#sectorSize <= length; position += this.#sectorSize) {
+            if (!this.#isMarked(buf.subarray(position, position + this.#sectorSize))) continue;
+            const start = chunk * CHUNK_SIZE + position;
+            const last = ranges[ranges.length - 1];
+            if (last && last.start + last.length === start) last.length += this.#sectorSize;
+            else ranges.push({ start, length: this.#sectorSize });
+        }
+        if (ranges.length > 0) this.#bad.set(chunk, ranges);
+    }
+
+    /**
+     * Get the marked ranges overlapping the byte range [start, end) of the filesystem, sorted
+     * and merged, reading the parts of the image that haven't been read yet.
+     */
+    badRangesOverlapping(start, end) {
+        const ranges = [];
+        for (let chunk = Math.floor(start / CHUNK_SIZE); chunk * CHUNK_SIZE < end; chunk++) {
+            this.#check(chunk);
+            for (const range of this.#bad.get(chunk) ?? []) {
+                if (range.start < end && start < range.start + range.length) ranges.push(range);
+            }
+        }
+        return mergeRanges(ranges);
+    }
+
+    rangeIsSafe(start, end) {
+        return this.badRangesOverlapping(start, end).length === 0;
+    }
+
+    /**
+     * Compare what the markers say with the sorted, merged bad `ranges` of a mapfile, within
+     * the parts of the image that have been read. Returns { markedOnly, listedOnly }: the ranges
+     * marked but not bad in the mapfile, and the ones bad in the mapfile but not marked.
+     */
+    disagreements(ranges) {
+        const checked = [];
+        for (let chunk = 0; chunk < this.#checked.length * 8; chunk++) {
+            if (this.#isChecked(chunk)) checked.push({ start: chunk * CHUNK_SIZE, length: CHUNK_SIZE });
+        }
+        const marked = mergeRanges([...this.#bad.values()].flat());
+        return {
+            markedOnly: subtractRanges(marked, ranges),
+            listedOnly: subtractRanges(intersectRanges(ranges, mergeRanges(checked)), marked),
+        };
+    }
+
+    // Identifies the markers in the fingerprint of a state file
+    toJSON() {
+        return { marker: this.#marker.toString(), sectorSize: this.#sectorSize };
+    }
+
+    close() {
+        closeSync(this.#fd);
+    }
+}
+
+module.exports = {
+    FillMarkerScanner,
+};
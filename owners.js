@@ -0,0 +1,210 @@
+const { readFileSync, renameSync, writeFileSync } = require('fs');
+
+const INDEX_VERSION = 1;
+
+/**
+ * What a block of a file is used for.
+ */
+const ROLE = {
+    DATA: 'data',
+    // Extent tree nodes and indirect blocks
+    MAPPING: 'mapping',
+    // The extended attribute block
+    XATTR: 'xattr',
+};
+
+const ROLE_NAMES = {
+    [ROLE.MAPPING]: 'extent tree or indirect block',
+    [ROLE.XATTR]: 'extended attribute block',
+};
+
+const METADATA_NAMES = {
+    'boot-block': 'boot block',
+    'superblock': 'superblock',
+    'group-descriptors': 'group descriptors',
+    'reserved-gdt': 'reserved group descriptor blocks',
+    'block-bitmap': 'block bitmap',
+    'inode-bitmap': 'inode bitmap',
+    'inode-table': 'inode table',
+    'resize-inode': 'resize inode',
+};
+
+// Sort [start, count, ...] runs and join the ones that touch and have the same rest
+const sortRuns = runs => {
+    const sorted = [...runs].sort((a, b) => a[0] - b[0]);
+    const joined = [];
+    for (const run of sorted) {
+        const last = joined[joined.length - 1];
+        if (last && last[0] + last[1] === run[0] && last.slice(2).every((value, i) => value === run[i + 2])) {
+            last[1] += run[1];
+        }
+        else {
+            joined.push([...run]);
+        }
+    }
+    return joined;
+};
+
+/**
+ * Build the index of one filesystem.
+ * `start` is where the filesystem starts in the coordinates of the mapfile, in bytes.
+ * `owners` maps inode numbers to { type, paths, extents: [[block, count, role]] }.
+ * `metadata` is [{ start, count, kind, group }] as from getMetadataRegions, plus the journal.
+ * `free` is [[block, count]] runs of free blocks.
+ */
+const buildFilesystemIndex = ({ partition, start, geometry, owners, metadata, free }) => {
+    const ownerList = [];
+    const extents = [];
+    for (const [inode, { type, paths, extents: inodeExtents }] of Object.entries(owners)) {
+        for (const [block, count, role] of inodeExtents) extents.push([block, count, ownerList.length, role]);
+        ownerList.push({ inode: +inode, type, paths });
+    }
+
+    return {
+        partition,
+        start,
+        blockSize: geometry.blockSize,
+        blockCount: geometry.blockCount,
+        owners: ownerList,
+        extents: sortRuns(extents),
+        metadata: sortRuns(metadata.map(region => [region.start, region.count, region.kind, region.group])),
+        free: sortRuns(free),
+    };
+};
+
+/**
+ * Save the block-owner index of the filesystems on `device`. Like the state file, the index
+ * is replaced atomically.
+ */
+const saveOwnerIndex = (path, device, filesystems) => {
+    const tmp = `${path}.tmp`;
+    writeFileSync(tmp, JSON.stringify({ version: INDEX_VERSION, device, filesystems }));
+    renameSync(tmp, path);
+};
+
+const loadOwnerIndex = path => {
+    const index = JSON.parse(readFileSync(path, 'utf-8'));
+    if (index.version !== INDEX_VERSION) throw new Error(`Index ${path} has unsupported version ${index.version}`);
+    index.filesystems.sort((a, b) => a.start - b.start);
+    return index;
+};
+
+// Index of the last run starting at or before `block`, or -1
+const lastRunAtOrBefore = (runs, block) => {
+    let lo = 0, hi = runs.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (runs[mid][0] <= block) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo - 1;
+};
+
+/**
+ * Split the blocks [block, end) of a filesystem by owner, as [{ block, count, owner }].
+ * Metadata wins over files, which win over free space, in case a damaged filesystem
+ * claims a block twice.
+ */
+const lookupBlocks = (fs, block, end) => {
+    const layers = [
+        [fs.metadata, ([, , kind, group]) => kind === 'journal' ? { kind: 'journal' } : { kind: 'metadata', what: kind, group }],
+        [fs.extents, ([, , owner, role]) => ({ kind: 'file', ...fs.owners[owner], role })],
+        [fs.free, () => ({ kind: 'free' })],
+    ];
+    const segments = [];
+
+    while (block < end) {
+        let owner = null;
+        let segmentEnd = end;
+        for (const [runs, toOwner] of layers) {
+            const i = lastRunAtOrBefore(runs, block);
+            if (i >= 0 && runs[i][0] + runs[i][1] > block) {
+                owner = toOwner(runs[i]);
+                segmentEnd = Math.min(segmentEnd, runs[i][0] + runs[i][1]);
+                break;
+            }
+            if (i + 1 < runs.length) segmentEnd = Math.min(segmentEnd, runs[i + 1][0]);
+        }
+        // In use according to the bitmap (or the bitmap is bad), but not by anything the scan reached
+        segments.push({ block, count: segmentEnd - block, owner: owner ?? { kind: 'unknown' } });
+        block = segmentEnd;
+    }
+
+    return segments;
+};
+
+const sameOwner = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Split the bytes [start, start + length) of the indexed device by owner, returning
+ * [{ start, length, partition, owner }]. `owner.kind` is 'file' (with inode, type, paths and
+ * role), 'metadata' (with what and group), 'journal', 'free', 'unknown', or 'outside' for
+ * bytes that aren't in any indexed filesystem.
+ */
+const lookupRange = (index, start, length) => {
+    const end = start + length;
+    const segments = [];
+    const push = (segmentStart, segmentEnd, partition, owner) => {
+        const last = segments[segments.length - 1];
+        if (last && last.start + last.length === segmentStart && last.partition === partition && sameOwner(last.owner, owner)) {
+            last.length += segmentEnd - segmentStart;
+        }
+        else {
+            segments.push({ start: segmentStart, length: segmentEnd - segmentStart, partition, owner });
+        }
+    };
+
+    let position = start;
+    for (const fs of index.filesystems) {
+        const fsEnd = fs.start + fs.blockCount * fs.blockSize;
+        if (fsEnd <= position) continue;
+        if (fs.start >= end) break;
+        if (fs.start > position) push(position, fs.start, null, { kind: 'outside' });
+        position = Math.max(position, fs.start);
+
+        const firstBlock = Math.floor((position - fs.start) / fs.blockSize);
+        const lastBlock = Math.ceil((Math.min(end, fsEnd) - fs.start) / fs.blockSize);
+        for (const { block, count, owner } of lookupBlocks(fs, firstBlock, lastBlock)) {
+            const segmentStart = Math.max(position, fs.start + block * fs.blockSize);
+            const segmentEnd = Math.min(end, fs.start + (block + count) * fs.blockSize);
+            push(segmentStart, segmentEnd, fs.partition, owner);
+        }
+        position = Math.min(end, fsEnd);
+    }
+    if (position < end) push(position, end, null, { kind: 'outside' });
+
+    return segments;
+};
+
+/**
+ * Describe an owner from lookupRange in words.
+ */
+const describeOwner = (owner, partition = null) => {
+    const prefix = partition != null ? `partition${partition}:` : '';
+    switch (owner.kind) {
+        case 'file': {
+            const others = owner.paths.length > 1 ? `, and ${owner.paths.length - 1} other name${owner.paths.length > 2 ? 's' : ''}` : '';
+            const role = ROLE_NAMES[owner.role] ? `, ${ROLE_NAMES[owner.role]}` : '';
+            return `${prefix}${owner.paths[0]} (inode ${owner.inode}${role}${others})`;
+        }
+        case 'metadata':
+            return owner.group == null ? `${prefix}${METADATA_NAMES[owner.what]}` : `${prefix}${METADATA_NAMES[owner.what]} of group ${owner.group}`;
+        case 'journal':
+            return `${prefix}journal`;
+        case 'free':
+            return `${prefix}free space`;
+        case 'unknown':
+            return `${prefix}in use, but not by anything the scan reached`;
+        default:
+            return 'outside any scanned filesystem';
+    }
+};
+
+module.exports = {
+    ROLE,
+    buildFilesystemIndex,
+    saveOwnerIndex,
+    loadOwnerIndex,
+    lookupRange,
+    describeOwner,
+};
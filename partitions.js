@@ -0,0 +1,176 @@
+const { open } = require('fs/promises');
+const { deviceSize } = require('./ext');
+
+const MBR_SIGNATURE = 0xAA55;
+const MBR_PROTECTIVE = 0xEE;
+const MBR_EXTENDED_TYPES = [0x05, 0x0F, 0x85];
+const GPT_SIGNATURE = 'EFI PART';
+const GPT_MIN_HEADER_SIZE = 92;
+const GPT_MIN_ENTRY_SIZE = 128;
+// Far more than the 128 entries of 128 bytes everything uses, but a garbage header can ask for gigabytes
+const GPT_MAX_ENTRIES_SIZE = 1024 * 1024;
+// GPT disks may use 512 or 4096 byte logical sectors; MBR is always read with 512
+const SECTOR_SIZES = [512, 4096];
+
+const readAt = async (handle, position, length) => {
+    const buf = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buf, 0, length, position);
+    return buf.subarray(0, bytesRead);
+};
+
+// GUIDs store their first three fields little endian
+const formatGuid = buf => {
+    const hex = (start, end, reverse) => {
+        const bytes = [...buf.subarray(start, end)];
+        if (reverse) bytes.reverse();
+        return bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+    };
+    return [hex(0, 4, true), hex(4, 6, true), hex(6, 8, true), hex(8, 10), hex(10, 16)].join('-').toUpperCase();
+};
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = buf => {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buf) crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Read the GPT header at `lba` and its partition entries, or return null unless both are
+ * intact, as the checksums in the header say.
+ */
+const readGptHeader = async (handle, sectorSize, lba) => {
+    const sector = await readAt(handle, lba * sectorSize, sectorSize);
+    if (sector.length < sectorSize || sector.toString('latin1', 0, 8) !== GPT_SIGNATURE) return null;
+    const headerSize = sector.readUint32LE(0x0C);
+    if (headerSize < GPT_MIN_HEADER_SIZE || headerSize > sectorSize) return null;
+    // The checksum is of the header with its own field zeroed
+    const header = Buffer.from(sector.subarray(0, headerSize));
+    header.writeUint32LE(0, 0x10);
+    if (crc32(header) !== sector.readUint32LE(0x10)) return null;
+
+    const entriesLba = Number(header.readBigUint64LE(0x48));
+    const entryCount = header.readUint32LE(0x50);
+    const entrySize = header.readUint32LE(0x54);
+    if (entrySize < GPT_MIN_ENTRY_SIZE || entrySize % 8 !== 0 || entryCount * entrySize > GPT_MAX_ENTRIES_SIZE) return null;
+    const entries = await readAt(handle, entriesLba * sectorSize, entryCount * entrySize);
+    if (entries.length < entryCount * entrySize || crc32(entries) !== header.readUint32LE(0x58)) return null;
+    return { entryCount, entrySize, entries };
+};
+
+// The primary GPT header is in the second sector, and its backup in the last one
+const readGpt = async (handle, sectorSize) => {
+    const gpt = await readGptHeader(handle, sectorSize, 1) ??
+        await readGptHeader(handle, sectorSize, Math.floor(await deviceSize(handle) / sectorSize) - 1);
+    if (!gpt) return null;
+
+    const { entryCount, entrySize, entries } = gpt;
+    const partitions = [];
+
+    for (let i = 0; i < entryCount; i++) {
+        const entry = entries.subarray(i * entrySize, (i + 1) * entrySize);
+        // Unused entries have an all-zero type
+        if (entry.subarray(0, 16).every(b => b === 0)) continue;
+        const firstLba = Number(entry.readBigUint64LE(32));
+        const lastLba = Number(entry.readBigUint64LE(40));
+        partitions.push({
+            number: i + 1,
+            start: firstLba * sectorSize,
+            size: (lastLba - firstLba + 1) * sectorSize,
+            type: formatGuid(entry.subarray(0, 16)),
+            name: entry.toString('utf16le', 56, 128).replace(/\0.*$/s, ''),
+        });
+    }
+
+    return { scheme: 'gpt', sectorSize, partitions };
+};
+
+const mbrEntries = sector => {
+    const entries = [];
+    for (let i = 0; i < 4; i++) {
+        const entry = sector.subarray(446 + i * 16, 446 + (i + 1) * 16);
+        const type = entry[4];
+        const sectors = entry.readUint32LE(12);
+        if (type === 0 || sectors === 0) continue;
+        entries.push({ index: i, type, lba: entry.readUint32LE(8), sectors });
+    }
+    return entries;
+};
+
+const formatMbrType = type => `0x${type.toString(16).padStart(2, '0')}`;
+
+// Logical partitions are a chain of extended boot records, each relative to the extended partition
+const readLogicalPartitions = async (handle, extendedLba) => {
+    const partitions = [];
+    const seen = new Set();
+    let ebrLba = extendedLba;
+
+    while (ebrLba != null && !seen.has(ebrLba)) {
+        seen.add(ebrLba);
+        const sector = await readAt(handle, ebrLba * 512, 512);
+        if (sector.length < 512 || sector.readUint16LE(510) !== MBR_SIGNATURE) break;
+        const [logical, next] = mbrEntries(sector);
+        if (logical && !MBR_EXTENDED_TYPES.includes(logical.type)) {
+            partitions.push({
+                number: 5 + partitions.length,
+                start: (ebrLba + logical.lba) * 512,
+                size: logical.sectors * 512,
+                type: formatMbrType(logical.type),
+                name: '',
+            });
+        }
+        ebrLba = next && MBR_EXTENDED_TYPES.includes(next.type) ? extendedLba + next.lba : null;
+    }
+
+    return partitions;
+};
+
+/**
+ * Read the GPT or MBR partition table of a whole-disk device or image.
+ * Returns { scheme, sectorSize, partitions: [{ number, start, size, type, name }] } with
+ * start and size in bytes, or null if there is no partition table.
+ */
+const readPartitionTable = async path => {
+    const handle = await open(path, 'r');
+    try {
+        const mbr = await readAt(handle, 0, 512);
+        if (mbr.length < 512 || mbr.readUint16LE(510) !== MBR_SIGNATURE) return null;
+        const entries = mbrEntries(mbr);
+
+        if (entries.some(entry => entry.type === MBR_PROTECTIVE)) {
+            for (const sectorSize of SECTOR_SIZES) {
+                const gpt = await readGpt(handle, sectorSize);
+                if (gpt) return gpt;
+            }
+            throw new Error(`${path} has a protective MBR but no valid GPT header`);
+        }
+
+        const partitions = [];
+        for (const entry of entries) {
+            if (MBR_EXTENDED_TYPES.includes(entry.type)) {
+                partitions.push(...await readLogicalPartitions(handle, entry.lba));
+                continue;
+            }
+            partitions.push({
+                number: entry.index + 1,
+                start: entry.lba * 512,
+                size: entry.sectors * 512,
+                type: formatMbrType(entry.type),
+                name: '',
+            });
+        }
+        return { scheme: 'mbr', sectorSize: 512, partitions: partitions.sort((a, b) => a.number - b.number) };
+    }
+    finally {
+        await handle.close();
+    }
+};
+
+module.exports = {
+    readPartitionTable,
+};
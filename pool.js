@@ -0,0 +1,72 @@
+/**
+ * Spreads reads over several sessions of a backend, such as several debugfs processes, each
+ * doing one call at a time. Calls wait in a shared queue for the next idle session.
+ * It has the same methods as the backends, so the scan can use it in their place.
+ */
+class BackendPool {
+    #sessions = [];
+    #idle = [];
+    #waiting = [];
+
+    /**
+     * Open `size` sessions of `Backend` on `device`, passing `options` to each.
+     */
+    static async open(Backend, device, options, size) {
+        const pool = new BackendPool();
+        const results = await Promise.allSettled(Array.from({ length: size }, () => Backend.open(device, options)));
+        pool.#sessions = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+        const failure = results.find(result => result.status === 'rejected');
+        if (failure) {
+            await pool.close();
+            throw failure.reason;
+        }
+        pool.#idle = [...pool.#sessions];
+        return pool;
+    }
+
+    get size() {
+        return this.#sessions.length;
+    }
+
+    get requestCount() {
+        return this.#sessions.reduce((sum, session) => sum + session.requestCount, 0);
+    }
+
+    async #run(call) {
+        const session = this.#idle.pop() ?? await new Promise(resolve => this.#waiting.push(resolve));
+        try {
+            return await call(session);
+        }
+        finally {
+            const next = this.#waiting.shift();
+            if (next) next(session);
+            else this.#idle.push(session);
+        }
+    }
+
+    // Every session needs the geometry to read inodes and blocks
+    async getGeometry() {
+        const [geometry] = await Promise.all(this.#sessions.map(session => session.getGeometry()));
+        return geometry;
+    }
+
+    readInode(inode) {
+        return this.#run(session => session.readInode(inode));
+    }
+
+    readBlock(blockNum) {
+        return this.#run(session => session.readBlock(blockNum));
+    }
+
+    listDir(inode) {
+        return this.#run(session => session.listDir(inode));
+    }
+
+    async close() {
+        await Promise.all(this.#sessions.map(session => session.close()));
+    }
+}
+
+module.exports = {
+    BackendPool,
+};
@@ -0,0 +1,84 @@
+const REDRAW_INTERVAL_MS = 1000;
+
+const formatDuration = ms => {
+    const seconds = Math.round(ms / 1000);
+    const hours = Math.floor(seconds / 3600);
+    const minutes = `${Math.floor(seconds / 60) % 60}`.padStart(hours > 0 ? 2 : 1, '0');
+    return `${hours > 0 ? `${hours}:` : ''}${minutes}:${`${seconds % 60}`.padStart(2, '0')}`;
+};
+
+/**
+ * Describe how far a scan has got. `now` and `start` are samples of { time, checked, expected,
+ * pending, bad, requests }, where `expected` is how many inodes will be checked in all, if known.
+ */
+const formatProgress = (now, start, rateUnit) => {
+    const elapsedSeconds = (now.time - start.time) / 1000;
+    const parts = [now.expected ?
+        `${now.checked}/${now.expected} inodes (${Math.min(100, Math.floor(now.checked / now.expected * 100))}%)` :
+        `${now.checked} inodes`];
+    parts.push(`${now.pending} directories queued`, `${now.bad} bad`);
+    if (elapsedSeconds > 0) parts.push(`${Math.round((now.requests - start.requests) / elapsedSeconds)} ${rateUnit}`);
+    // Only the inodes checked in this run say how fast it goes
+    const checkedPerMs = (now.checked - start.checked) / (now.time - start.time);
+    if (now.expected && checkedPerMs > 0) parts.push(`ETA ${formatDuration(Math.max(0, now.expected - now.checked) / checkedPerMs)}`);
+    return parts.join(', ');
+};
+
+/**
+ * A status line on `stream`, redrawn every second from what `sample()` returns, and hidden while
+ * that is null; rates are measured from the first sample that isn't. It is only shown if the
+ * stream is a terminal, so logs and pipes don't fill up with it. Call clear() before writing
+ * anything else to the terminal; the line comes back on the next redraw.
+ */
+class ProgressLine {
+    #stream;
+    #sample;
+    #rateUnit;
+    #start;
+    #timer;
+    #shown = false;
+
+    constructor(sample, { rateUnit = 'requests/s', stream = process.stderr } = {}) {
+        this.#stream = stream;
+        this.#sample = sample;
+        this.#rateUnit = rateUnit;
+    }
+
+    start() {
+        if (!this.#stream.isTTY || this.#timer) return;
+        this.#start = this.#sample();
+        this.#timer = setInterval(() => this.#draw(), REDRAW_INTERVAL_MS);
+        // Don't keep the process running for the sake of the progress line
+        this.#timer.unref();
+    }
+
+    #draw() {
+        const now = this.#sample();
+        this.#start ??= now;
+        if (!now) {
+            this.clear();
+            return;
+        }
+        const line = formatProgress(now, this.#start, this.#rateUnit);
+        // A line that wraps can't be redrawn in place
+        const width = this.#stream.columns ? this.#stream.columns - 1 : line.length;
+        this.#stream.write(`\r\x1b[K${line.slice(0, width)}`);
+        this.#shown = true;
+    }
+
+    clear() {
+        if (!this.#shown) return;
+        this.#stream.write('\r\x1b[K');
+        this.#shown = false;
+    }
+
+    stop() {
+        clearInterval(this.#timer);
+        this.#timer = null;
+        this.clear();
+    }
+}
+
+module.exports = {
+    ProgressLine,
+};
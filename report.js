@@ -0,0 +1,195 @@
+/**
+ * Why an entry was reported as damaged.
+ */
+const REASON = {
+    // The inode itself sits in a bad region
+    INODE_TABLE: 'inode-table',
+    // A directory's entries are in a bad region, so its children can't be listed
+    DIRECTORY_DATA: 'directory-data',
+    // An extent tree node or indirect block is bad, so some of the data can't be located
+    MAPPING_METADATA: 'mapping-metadata',
+    // Some of a file's data blocks are in a bad region
+    FILE_DATA: 'file-data',
+    // The block holding a long symlink's target is in a bad region
+    SYMLINK_TARGET: 'symlink-target',
+    // The data is intact, but the block with the extended attributes (ACLs, security labels) is in a bad region
+    XATTR_BLOCK: 'xattr-block',
+    // debugfs kept crashing or hanging while reading the inode, its mapping or the directory
+    UNREADABLE_METADATA: 'unreadable-metadata',
+    // Intact, but not reachable from the root directory because a directory above it is damaged
+    ORPHANED: 'orphaned',
+};
+
+const FORMATS = ['text', 'jsonl', 'csv'];
+
+// Shown in text reports instead of damaged byte counts when only the extended attributes are lost
+const XATTRS_LOST = 'extended attributes lost';
+
+const CSV_COLUMNS = ['path', 'inode', 'type', 'size', 'reason', 'damagedBytes', 'damagedRanges', 'holes', 'partition', 'orphan'];
+const RANGE_COLUMNS = ['damagedRanges', 'holes'];
+
+const csvField = value => {
+    if (value == null) return '';
+    const s = String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const formatRanges = (ranges, separator) => ranges.map(range => `${range.start}-${range.start + range.length - 1}`).join(separator);
+
+const sumLengths = ranges => ranges.reduce((sum, range) => sum + range.length, 0);
+
+const describeDamage = finding => {
+    const percent = (100 * finding.damagedBytes / finding.size).toFixed(2);
+    const holes = finding.holes?.length ? ` (${sumLengths(finding.holes)} bytes of holes)` : '';
+    return `${finding.damagedBytes} of ${finding.size} bytes damaged (${percent}%) at ${formatRanges(finding.damagedRanges, ', ')}${holes}`;
+};
+
+const pathsOf = finding => finding.paths ?? [finding.path];
+
+/**
+ * Every name of a finding as shown in text output, prefixed with its partition if it has one.
+ */
+const displayPaths = finding => pathsOf(finding).map(path => finding.partition != null ? `partition${finding.partition}:${path}` : path);
+
+const formatters = {
+    text: {
+        finding: f => displayPaths(f).map(path => {
+            if (f.reason === REASON.ORPHANED) return `ORPHAN ${path}\n`;
+            if (f.reason === REASON.XATTR_BLOCK) return `BAD ${path}: ${XATTRS_LOST}\n`;
+            return f.damagedRanges ? `BAD ${path}: ${describeDamage(f)}\n` : `BAD ${path}\n`;
+        }).join(''),
+    },
+    jsonl: {
+        finding: f => JSON.stringify(f) + '\n',
+    },
+    csv: {
+        header: CSV_COLUMNS.join(',') + '\n',
+        // One row per name, so hard links to the same inode are on consecutive rows
+        finding: f => pathsOf(f).map(path => CSV_COLUMNS.map(column => {
+            if (column === 'path') return csvField(path);
+            return csvField(RANGE_COLUMNS.includes(column) && f[column] ? formatRanges(f[column], ' ') : f[column]);
+        }).join(',') + '\n').join(''),
+    },
+};
+
+/**
+ * Make a reporter that writes one record per finding to `stream` in the given format.
+ *
+ * A finding is { path, inode, type, size, reason }, plus { damagedBytes, damagedRanges, holes }
+ * when the damaged and sparse parts of a file are known, { partition } when scanning a partitioned disk,
+ * { orphan: true } for entries only found by looking through the inode tables, and
+ * { paths } listing every name of an inode with more than one, starting with `path`.
+ * `type` and `size` are null when the inode itself could not be read.
+ */
+const createReporter = (format, stream = process.stdout) => {
+    const formatter = formatters[format];
+    if (!formatter) throw new Error(`Unknown format ${JSON.stringify(format)}, expected one of ${FORMATS.join(', ')}`);
+    if (formatter.header) stream.write(formatter.header);
+
+    return {
+        finding(finding) {
+            stream.write(formatter.finding(finding));
+        },
+    };
+};
+
+// Split CSV text into rows of fields, handling quoted fields with commas, quotes and newlines
+const parseCsv = text => {
+    const rows = [];
+    let row = [], field = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') field += text[++i];
+            else if (c === '"') quoted = false;
+            else field += c;
+        }
+        else if (c === '"') quoted = true;
+        else if (c === ',') {
+            row.push(field);
+            field = '';
+        }
+        else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            rows.push([...row, field]);
+            row = [];
+            field = '';
+        }
+        else field += c;
+    }
+    if (field || row.length > 0) rows.push([...row, field]);
+    return rows;
+};
+
+const parseRanges = s => s ? s.split(/,? /).map(range => {
+    const [first, last] = range.split('-').map(Number);
+    return { start: first, length: last - first + 1 };
+}) : [];
+
+const NUMERIC_COLUMNS = ['inode', 'size', 'damagedBytes', 'partition'];
+
+const parseCsvReport = text => {
+    const [header, ...rows] = parseCsv(text);
+    const findings = [];
+    for (const row of rows) {
+        if (row.length === 1 && row[0] === '') continue;
+        const finding = {};
+        header.forEach((column, i) => {
+            const value = row[i] ?? '';
+            if (value === '') return;
+            if (RANGE_COLUMNS.includes(column)) finding[column] = parseRanges(value);
+            else if (column === 'orphan') finding.orphan = value === 'true';
+            else finding[column] = NUMERIC_COLUMNS.includes(column) ? Number(value) : value;
+        });
+        // Hard links are on consecutive rows
+        const last = findings[findings.length - 1];
+        if (last && finding.inode != null && last.inode === finding.inode && last.partition === finding.partition) {
+            last.paths = [...pathsOf(last), finding.path];
+        }
+        else {
+            findings.push(finding);
+        }
+    }
+    return findings;
+};
+
+const textLineRegex = new RegExp(`^(BAD|ORPHAN) (?:partition(\\d+):)?(.*?)(?:: (\\d+) of (\\d+) bytes damaged \\([\\d.]+%\\) at (.*?)(?: \\(\\d+ bytes of holes\\))?|: (${XATTRS_LOST}))?$`);
+
+// Text reports only have paths, so each line is a finding of its own
+const parseTextReport = text => {
+    const findings = [];
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.match(textLineRegex);
+        if (!match) continue;
+        const [, kind, partition, path, damagedBytes, size, ranges, xattrsLost] = match;
+        const finding = { path, reason: kind === 'ORPHAN' ? REASON.ORPHANED : xattrsLost ? REASON.XATTR_BLOCK : null };
+        if (partition != null) finding.partition = +partition;
+        if (damagedBytes != null) {
+            finding.size = +size;
+            finding.damagedBytes = +damagedBytes;
+            finding.damagedRanges = parseRanges(ranges);
+        }
+        findings.push(finding);
+    }
+    return findings;
+};
+
+/**
+ * Read back the findings of a report written in any of the formats. Text reports only give
+ * paths, and damage details if they were made with --detail.
+ */
+const parseReport = text => {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    if (firstLine.startsWith('{')) return text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+    if (firstLine === formatters.csv.header.trim()) return parseCsvReport(text);
+    return parseTextReport(text);
+};
+
+module.exports = {
+    REASON,
+    FORMATS,
+    createReporter,
+    displayPaths,
+    parseReport,
+    sumLengths,
+};
@@ -0,0 +1,277 @@
+/**
+ * Counts of the files in a directory or of a type: how many there are and their total size,
+ * how many of them are damaged and how many of their bytes (or their whole size, see
+ * createTally), and how many directories couldn't be checked.
+ */
+const emptyCounts = () => ({ files: 0, size: 0, damagedFiles: 0, damagedSize: 0, damagedDirs: 0 });
+
+const addCounts = (target, counts) => {
+    for (const key of Object.keys(target)) target[key] += counts[key];
+};
+
+// Longer "extensions" are usually part of the name, such as a hash
+const extensionRegex = /\.([A-Za-z0-9]{1,10})$/;
+
+/**
+ * What a file counts as in the breakdown by type: its extension if it is a regular file with
+ * one, otherwise its type in parentheses, or "(unknown)" if its inode couldn't be read.
+ */
+const fileKind = (type, name) => {
+    if (type == null) return '(unknown)';
+    if (type !== 'file') return `(${type})`;
+    const match = extensionRegex.exec(name);
+    // Dotfiles such as ".bashrc" have no extension
+    return match && match.index > 0 ? `.${match[1].toLowerCase()}` : '(no extension)';
+};
+
+// The directory above `path`, or null for "/" and the "#<inode>" names of orphans
+const parentPath = path => {
+    if (path === '/') return null;
+    const slash = path.lastIndexOf('/');
+    if (slash < 0) return null;
+    return slash === 0 ? '/' : path.slice(0, slash);
+};
+
+/**
+ * Make an empty tally of the files the tree walk checks, as { dirs, kinds, exactDamage }: the
+ * counts of the files directly in each directory, by path, and of each kind of file. With
+ * `exactDamage`, the damaged bytes of every file are known, otherwise the whole size of each
+ * damaged file is counted. It is plain data, so it can be saved in the state file.
+ */
+const createTally = ({ exactDamage = false } = {}) => ({ dirs: {}, kinds: {}, exactDamage });
+
+/**
+ * Record that the directory `dir` was scanned, and whether it is damaged itself.
+ */
+const tallyDirectory = (tally, dir, damaged) => {
+    tally.dirs[dir] ??= emptyCounts();
+    if (damaged) tally.dirs[dir].damagedDirs++;
+};
+
+// Where orphaned files with no name found for them are counted
+const ORPHANED_FILES = '(orphaned files)';
+
+/**
+ * Record a file checked at `path`. `type` and `size` are null if its inode couldn't be read,
+ * and `damagedBytes` is null if it isn't known how much of the file is damaged.
+ */
+const tallyFile = (tally, path, { type, size, damaged, damagedBytes = null }) => {
+    const dir = parentPath(path) ?? ORPHANED_FILES;
+    const kind = fileKind(type, path.slice(path.lastIndexOf('/') + 1));
+    for (const counts of [tally.dirs[dir] ??= emptyCounts(), tally.kinds[kind] ??= emptyCounts()]) {
+        counts.files++;
+        counts.size += size ?? 0;
+        if (damaged) {
+            counts.damagedFiles++;
+            counts.damagedSize += damagedBytes ?? size ?? 0;
+        }
+    }
+};
+
+const mergeTally = (target, tally) => {
+    for (const [dir, counts] of Object.entries(tally.dirs)) addCounts(target.dirs[dir] ??= emptyCounts(), counts);
+    for (const [kind, counts] of Object.entries(tally.kinds)) addCounts(target.kinds[kind] ??= emptyCounts(), counts);
+};
+
+const damageOf = counts => counts.damagedFiles + counts.damagedDirs;
+
+/**
+ * Roll the tallies of `filesystems`, [{ partition, tally }], up the directory trees. Returns
+ * { roots, kinds, totals, worst, exactDamage }: the top directories of each filesystem as nodes
+ * of { path, partition, own, total, children }, where `total` includes everything below it,
+ * the counts by kind of file, sorted with the most damaged first, the counts of everything,
+ * and the `top` most damaged subtrees. Directories with all of their damage inside a single
+ * subdirectory are left out of those, as that subdirectory says more. `exactDamage` is whether
+ * the damaged sizes are damaged bytes rather than the sizes of the damaged files.
+ */
+const buildRollup = (filesystems, { top = 10 } = {}) => {
+    const roots = [];
+    const nodes = [];
+    const kinds = new Map();
+    const totals = emptyCounts();
+
+    for (const { partition, tally } of filesystems) {
+        const byPath = new Map();
+        const nodeFor = path => {
+            let node = byPath.get(path);
+            if (node) return node;
+            node = { path, partition, own: emptyCounts(), total: emptyCounts(), children: [] };
+            byPath.set(path, node);
+            nodes.push(node);
+            // Directories above the --root directory weren't scanned, but the tree still starts at "/"
+            const parent = parentPath(path);
+            if (parent == null) roots.push(node);
+            else nodeFor(parent).children.push(node);
+            return node;
+        };
+        for (const [path, counts] of Object.entries(tally.dirs)) addCounts(nodeFor(path).own, counts);
+        for (const [kind, counts] of Object.entries(tally.kinds)) {
+            if (!kinds.has(kind)) kinds.set(kind, emptyCounts());
+            addCounts(kinds.get(kind), counts);
+            addCounts(totals, counts);
+        }
+    }
+
+    const sumUp = node => {
+        addCounts(node.total, node.own);
+        for (const child of node.children) addCounts(node.total, sumUp(child));
+        node.children.sort((a, b) => damageOf(b.total) - damageOf(a.total) || (a.path < b.path ? -1 : 1));
+        return node.total;
+    };
+    for (const root of roots) sumUp(root);
+    roots.sort((a, b) => (b.path === '/') - (a.path === '/') || damageOf(b.total) - damageOf(a.total) || (a.path < b.path ? -1 : 1));
+    totals.damagedDirs = roots.reduce((sum, root) => sum + root.total.damagedDirs, 0);
+
+    const worst = nodes
+        .filter(node => node.path !== '/' && damageOf(node.total) > 0 &&
+            (damageOf(node.own) > 0 || node.children.filter(child => damageOf(child.total) > 0).length > 1))
+        .sort((a, b) => damageOf(b.total) - damageOf(a.total) || b.total.damagedSize - a.total.damagedSize || (a.path < b.path ? -1 : 1))
+        .slice(0, top);
+
+    return {
+        roots,
+        kinds: [...kinds].map(([kind, counts]) => ({ kind, counts }))
+            .sort((a, b) => damageOf(b.counts) - damageOf(a.counts) || b.counts.files - a.counts.files),
+        totals,
+        worst,
+        exactDamage: filesystems.every(({ tally }) => tally.exactDamage),
+    };
+};
+
+const SIZE_UNITS = ['KiB', 'MiB', 'GiB', 'TiB', 'PiB'];
+
+const formatSize = bytes => {
+    if (bytes < 1024) return `${bytes} B`;
+    let unit = -1;
+    for (; bytes >= 1024 && unit < SIZE_UNITS.length - 1; unit++) bytes /= 1024;
+    return `${bytes.toFixed(1)} ${SIZE_UNITS[unit]}`;
+};
+
+const formatShare = (part, whole) => whole > 0 ? ` (${(100 * part / whole).toFixed(1)}%)` : '';
+
+const describeCounts = (counts, exactDamage) => {
+    const dirs = counts.damagedDirs > 0 ? `, ${counts.damagedDirs} damaged director${counts.damagedDirs > 1 ? 'ies' : 'y'}` : '';
+    const sizes = exactDamage ?
+        `${formatSize(counts.damagedSize)} of ${formatSize(counts.size)} damaged` :
+        `size of damaged files ${formatSize(counts.damagedSize)} of ${formatSize(counts.size)}`;
+    return `${counts.damagedFiles} of ${counts.files} files damaged${formatShare(counts.damagedFiles, counts.files)}, ${sizes}${dirs}`;
+};
+
+const displayPath = node => node.partition != null ? `partition${node.partition}:${node.path}` : node.path;
+
+/**
+ * Format the roll-up as text: the totals, the worst subtrees, the damage by type of file, and
+ * the tree of directories with damage somewhere below them.
+ */
+const formatRollupText = ({ roots, kinds, totals, worst, exactDamage }) => {
+    const describe = counts => describeCounts(counts, exactDamage);
+    const lines = [`In all: ${describe(totals)}`, ''];
+
+    lines.push(worst.length > 0 ? 'Worst subtrees:' : 'No damaged subtrees');
+    for (const node of worst) lines.push(`  ${displayPath(node)}  ${describe(node.total)}`);
+    lines.push('', 'By type of file:');
+    const width = Math.max(0, ...kinds.map(({ kind }) => kind.length));
+    for (const { kind, counts } of kinds) {
+        if (damageOf(counts) > 0) lines.push(`  ${kind.padEnd(width)}  ${describe(counts)}`);
+    }
+    if (kinds.every(({ counts }) => damageOf(counts) === 0)) lines.push('  Nothing damaged');
+
+    lines.push('', 'By directory, including subdirectories:');
+    const addTree = (node, prefix, childPrefix) => {
+        const name = prefix || childPrefix ? node.path.slice(node.path.lastIndexOf('/') + 1) : displayPath(node);
+        const flag = node.own.damagedDirs > 0 ? ' [directory damaged]' : '';
+        lines.push(`${prefix}${name}  ${describe(node.total)}${flag}`);
+        const damaged = node.children.filter(child => damageOf(child.total) > 0);
+        damaged.forEach((child, i) => {
+            const last = i === damaged.length - 1;
+            addTree(child, `${childPrefix}${last ? '└── ' : '├── '}`, `${childPrefix}${last ? '    ' : '│   '}`);
+        });
+    };
+    for (const root of roots) {
+        if (root.path === '/' || damageOf(root.total) > 0) addTree(root, '', '');
+    }
+    return lines.join('\n') + '\n';
+};
+
+const escapeHtml = s => s.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+const HTML_STYLE = `
+body { font-family: sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; }
+td, th { padding: 0.2em 0.8em; text-align: left; }
+td.number { text-align: right; font-variant-numeric: tabular-nums; }
+tr:nth-child(even) { background: #f4f4f4; }
+.bar { display: inline-block; width: 8em; height: 0.8em; background: #ddd; vertical-align: middle; }
+.bar span { display: block; height: 100%; background: #c0392b; }
+ul.tree, ul.tree ul { list-style: none; padding-left: 1.2em; }
+ul.tree summary, ul.tree .leaf { cursor: default; white-space: nowrap; }
+.path { font-family: monospace; }
+.counts { color: #555; margin-left: 0.8em; }
+.flag { color: #c0392b; margin-left: 0.5em; }
+`;
+
+const htmlBar = (part, whole) => `<span class="bar"><span style="width: ${whole > 0 ? (100 * part / whole).toFixed(1) : 0}%"></span></span>`;
+
+const htmlCountsCells = counts => `<td>${htmlBar(counts.damagedFiles, counts.files)}</td>` +
+    [counts.damagedFiles, counts.files, formatSize(counts.damagedSize), formatSize(counts.size), counts.damagedDirs || '']
+        .map(value => `<td class="number">${value}</td>`).join('');
+
+const htmlCountsHeadings = exactDamage => `<th></th><th>Damaged files</th><th>Files</th><th>${exactDamage ? 'Damaged bytes' : 'Size of damaged files'}</th>` +
+    '<th>Size</th><th>Damaged directories</th>';
+
+/**
+ * Format the roll-up as an HTML page that needs nothing else, with the directory tree as
+ * nested <details> elements, opened down to the directories that are damaged themselves.
+ */
+const formatRollupHtml = ({ roots, kinds, totals, worst, exactDamage }, { title }) => {
+    const describe = counts => describeCounts(counts, exactDamage);
+    const treeItem = node => {
+        const damaged = node.children.filter(child => damageOf(child.total) > 0);
+        const flag = node.own.damagedDirs > 0 ? '<span class="flag">directory damaged</span>' : '';
+        const name = node.path === '/' || parentPath(node.path) == null ? displayPath(node) : node.path.slice(node.path.lastIndexOf('/') + 1);
+        const label = `${htmlBar(node.total.damagedFiles, node.total.files)} <span class="path">${escapeHtml(name)}</span>` +
+            `<span class="counts">${escapeHtml(describe(node.total))}</span>${flag}`;
+        if (damaged.length === 0) return `<li><div class="leaf">${label}</div></li>`;
+        // Open as far as the damage is in one place
+        const open = damaged.length === 1 && damageOf(node.own) === 0 ? ' open' : '';
+        return `<li><details${open}><summary>${label}</summary><ul>${damaged.map(treeItem).join('')}</ul></details></li>`;
+    };
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${htmlBar(totals.damagedFiles, totals.files)} ${escapeHtml(describe(totals))}</p>
+<h2>Worst subtrees</h2>
+${worst.length > 0 ? `<table>
+<tr><th>Directory</th>${htmlCountsHeadings(exactDamage)}</tr>
+${worst.map(node => `<tr><td class="path">${escapeHtml(displayPath(node))}</td>${htmlCountsCells(node.total)}</tr>`).join('\n')}
+</table>` : '<p>No damaged subtrees</p>'}
+<h2>By type of file</h2>
+<table>
+<tr><th>Type</th>${htmlCountsHeadings(exactDamage)}</tr>
+${kinds.map(({ kind, counts }) => `<tr><td class="path">${escapeHtml(kind)}</td>${htmlCountsCells(counts)}</tr>`).join('\n')}
+</table>
+<h2>By directory, including subdirectories</h2>
+<ul class="tree">
+${roots.filter(root => root.path === '/' || damageOf(root.total) > 0).map(treeItem).join('\n')}
+</ul>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+    createTally,
+    tallyDirectory,
+    tallyFile,
+    mergeTally,
+    buildRollup,
+    formatRollupText,
+    formatRollupHtml,
+};
@@ -0,0 +1,85 @@
+const { link, mkdir, open, rm, writeFile } = require('fs/promises');
+const { dirname } = require('path');
+
+// Damaged ranges are filled this much at a time, so a file whose extent tree is lost doesn't need a buffer its size
+const FILL_CHUNK_SIZE = 1024 * 1024;
+
+const SIDECAR_SUFFIX = '.bad-ranges';
+
+/**
+ * Overwrite the bytes of `buf` from file offset `start` to `end` with `fill` repeated, as if
+ * it was laid out from the start of the file, or with zeros if `fill` is empty.
+ * `bufStart` is the file offset of the start of `buf`.
+ */
+const fillBuffer = (buf, bufStart, start, end, fill) => {
+    if (fill.length === 0) {
+        buf.fill(0, start - bufStart, end - bufStart);
+        return;
+    }
+    const shift = start % fill.length;
+    buf.fill(Buffer.concat([fill.subarray(shift), fill.subarray(0, shift)]), start - bufStart, end - bufStart);
+};
+
+const formatSidecar = (description, ranges, fill) => [
+    `# Damaged byte ranges of ${description}, filled with ${fill.length > 0 ? JSON.stringify(fill.toString()) : 'zeros'}`,
+    ...ranges.map(range => `${range.start}-${range.start + range.length - 1}`),
+].join('\n') + '\n';
+
+/**
+ * Write what can be read of a damaged file to the first of `paths`, and list its damaged byte
+ * ranges in a sidecar file next to it; the other paths, for further hard links, are hard links
+ * to those. `runs` are the file's data blocks, as { logical, physical, count }
+ * runs of blocks read with `readBlock`, and `ranges` the damaged { start, length } byte ranges,
+ * sorted and merged. Blocks that are entirely damaged aren't read. The damaged ranges are filled
+ * with `fill` repeated (a Buffer, or zeros when empty) and holes are left sparse.
+ * `description` says which file it is in the sidecar.
+ */
+const salvageFile = async ([path, ...links], { size, blockSize, runs, ranges, readBlock, fill, description }) => {
+    await mkdir(dirname(path), { recursive: true });
+    const handle = await open(path, 'w');
+    try {
+        await handle.truncate(size);
+        for (const run of runs) {
+            for (let i = 0; i < run.count; i++) {
+                const start = (run.logical + i) * blockSize;
+                const end = Math.min(start + blockSize, size);
+                if (start >= end) break;
+                const damaged = ranges.filter(range => range.start < end && start < range.start + range.length);
+                if (damaged.some(range => range.start <= start && end <= range.start + range.length)) continue;
+                const block = await readBlock(run.physical + i);
+                // Keep the sectors of the block that were read, as ddrescue left them
+                for (const range of damaged) fillBuffer(block, start, Math.max(start, range.start), Math.min(end, range.start + range.length), fill);
+                await handle.write(block, 0, end - start, start);
+            }
+        }
+
+        // Zeros are already there, but a marker has to be written over the blocks that were skipped
+        if (fill.length > 0) {
+            for (const range of ranges) {
+                const rangeEnd = range.start + range.length;
+                for (let start = range.start; start < rangeEnd; start += FILL_CHUNK_SIZE) {
+                    const chunk = Buffer.alloc(Math.min(FILL_CHUNK_SIZE, rangeEnd - start));
+                    fillBuffer(chunk, start, start, start + chunk.length, fill);
+                    await handle.write(chunk, 0, chunk.length, start);
+                }
+            }
+        }
+    }
+    finally {
+        await handle.close();
+    }
+    await writeFile(path + SIDECAR_SUFFIX, formatSidecar(description, ranges, fill));
+
+    for (const other of links) {
+        await mkdir(dirname(other), { recursive: true });
+        for (const suffix of ['', SIDECAR_SUFFIX]) {
+            // Left over from an earlier run
+            await rm(other + suffix, { force: true });
+            await link(path + suffix, other + suffix);
+        }
+    }
+};
+
+module.exports = {
+    salvageFile,
+};
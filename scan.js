@@ -0,0 +1,1086 @@
+const { join } = require('path');
+const { DebugfsBackend } = require('./debugfs');
+const { BackendPool } = require('./pool');
+const { salvageFile } = require('./salvage');
+const { NativeBackend, UnreadableMetadataError, getAddressOfInode, getMetadataRegions, bitmapFreeRuns, firstBlockOfGroup, getFileSize, getFileType, getXattrBlock, inodeHasBlockMap, inodeIsInUse, mapInodeBlocks, parseDirBlock } = require('./ext');
+const { REASON, sumLengths } = require('./report');
+const { scanFingerprint, loadState, saveState } = require('./checkpoint');
+const { ROLE, buildFilesystemIndex } = require('./owners');
+const { pathMatcher, pathPrefixMatcher } = require('./glob');
+const { mergeRanges } = require('./mapfile');
+const { FillMarkerScanner } = require('./markers');
+const { createTally, mergeTally, tallyDirectory, tallyFile } = require('./rollup');
+
+/**
+ * Collects the damaged parts of a file as { start, length } byte ranges within the file, and
+ * its holes, which read as zeros and so can't be damaged.
+ * With `stopAtFirst`, the walk over the file's blocks ends as soon as anything is found.
+ */
+class Damage {
+    constructor(stopAtFirst, withRuns = false) {
+        this.stopAtFirst = stopAtFirst;
+        this.ranges = [];
+        this.reason = null;
+        this.holes = [];
+        // Where the data is, as { logical, physical, count } runs of blocks, for salvaging
+        this.runs = withRuns ? [] : null;
+        // Logical block up to which the walk over the file's blocks has accounted for it
+        this.mappedTo = 0;
+    }
+
+    hole(start, length) {
+        if (length > 0) this.holes.push({ start, length });
+    }
+
+    run(logical, physical, count) {
+        if (!this.runs) return;
+        // Block maps give one block at a time
+        const last = this.runs[this.runs.length - 1];
+        if (last && last.logical + last.count === logical && last.physical + last.count === physical) last.count += count;
+        else this.runs.push({ logical, physical, count });
+    }
+
+    add(start, length, reason = REASON.FILE_DATA) {
+        if (length <= 0) return;
+        this.ranges.push({ start, length });
+        // Losing track of where the data is matters more than losing some of it
+        if (this.reason !== REASON.MAPPING_METADATA) this.reason = reason;
+    }
+
+    get done() {
+        return this.stopAtFirst && this.ranges.length > 0;
+    }
+}
+
+class InodeInfo {
+    constructor(scan, id, name, buf) {
+        // The FilesystemScan the inode belongs to, for its geometry, backend and bad ranges
+        this.scan = scan;
+        this.id = id;
+        this.name = name;
+        this.buf = buf;
+    }
+
+    get type() {
+        return getFileType(this.buf);
+    }
+
+    get isDir() {
+        return this.type === 'directory';
+    }
+
+    get isFile() {
+        return this.type === 'file';
+    }
+
+    get isSymlink() {
+        return this.type === 'symlink';
+    }
+
+    get size() {
+        return getFileSize(this.scan.geometry, this.buf);
+    }
+
+    get linkCount() {
+        return this.buf.readUint16LE(0x1A);
+    }
+
+    get blocksInUse() {
+        return Math.ceil(this.size / this.scan.geometry.blockSize);
+    }
+
+    get xattrBlock() {
+        return getXattrBlock(this.scan.geometry, this.buf);
+    }
+
+    async dataIsSafe() {
+        return (await this.getDamage({ stopAtFirst: true })).ranges.length === 0;
+    }
+
+    /**
+     * Walk the extent tree or block map and get the damaged byte ranges of the file, sorted
+     * and merged, along with the reason for the damage. Data that can't be located because
+     * an extent tree node or indirect block is bad counts as damaged. Intact data with a bad
+     * extended attribute block has no ranges but the reason XATTR_BLOCK; otherwise the reason
+     * is null when nothing is damaged. `holes` are the sparse parts of the file.
+     * With `stopAtFirst`, only the first damaged range found is returned, and holes are left out.
+     * With `withRuns`, `runs` are where the file's data blocks are, bad or not.
+     */
+    async getDamage({ stopAtFirst = false, withRuns = false } = {}) {
+        const damage = new Damage(stopAtFirst, withRuns);
+        await this.findDamage(damage);
+        const size = this.size;
+        const clip = ranges => ranges
+            .filter(range => range.start < size)
+            .map(range => ({ start: range.start, length: Math.min(range.length, size - range.start) }));
+        const clipped = clip(damage.ranges);
+        const holes = stopAtFirst ? [] : mergeRanges(clip(damage.holes));
+
+        let reason = damage.reason;
+        if (clipped.length === 0) reason = this.xattrBlock && !this.scan.blockIsSafe(this.xattrBlock) ? REASON.XATTR_BLOCK : null;
+        else if (reason === REASON.FILE_DATA && this.isDir) reason = REASON.DIRECTORY_DATA;
+        else if (reason === REASON.FILE_DATA && this.isSymlink) reason = REASON.SYMLINK_TARGET;
+        return { ranges: mergeRanges(clipped), reason, holes, runs: damage.runs };
+    }
+
+    async findDamage(damage) {
+        const { geometry, backend } = this.scan;
+        const { blockSize } = geometry;
+        // Inline data and short symlink targets are in the inode, and device nodes have no data
+        if (!inodeHasBlockMap(geometry, this.buf)) return;
+        // Extent tree nodes and indirect blocks in bad regions aren't read, and the data they map can't be located
+        const readBlock = blockNum => this.scan.blockIsSafe(blockNum) ? backend.readBlock(blockNum) : null;
+        const unmapped = (logical, count) => {
+            damage.hole(damage.mappedTo * blockSize, (logical - damage.mappedTo) * blockSize);
+            damage.add(logical * blockSize, count * blockSize, REASON.MAPPING_METADATA);
+            damage.mappedTo = Math.max(damage.mappedTo, logical + count);
+        };
+
+        for await (const run of mapInodeBlocks(geometry, this.buf, readBlock, unmapped)) {
+            if (damage.done) break;
+            // Blocks between runs are holes, and uninitialized extents read as zeros whatever is on the disk
+            damage.hole(damage.mappedTo * blockSize, (run.logical - damage.mappedTo) * blockSize);
+            if (run.uninitialized) damage.hole(run.logical * blockSize, run.count * blockSize);
+            else this.checkRun(run.logical, run.physical, run.count, damage);
+            damage.mappedTo = Math.max(damage.mappedTo, run.logical + run.count);
+        }
+        // Sparse after the last run
+        if (!damage.done) damage.hole(damage.mappedTo * blockSize, (this.blocksInUse - damage.mappedTo) * blockSize);
+    }
+
+    /**
+     * Record a run of `count` blocks, starting at logical block `logical` and physical block
+     * `blockNum`, and the bytes of it which fall in bad ranges.
+     */
+    checkRun(logical, blockNum, count, damage) {
+        const { geometry } = this.scan;
+        damage.run(logical, blockNum, count);
+        const runStart = blockNum * geometry.blockSize;
+        const runEnd = runStart + count * geometry.blockSize;
+
+        for (const range of this.scan.badRangesOverlapping(runStart, runEnd)) {
+            const start = Math.max(range.start, runStart);
+            const end = Math.min(range.start + range.length, runEnd);
+            damage.add(logical * geometry.blockSize + start - runStart, end - start);
+            if (damage.done) return;
+        }
+    }
+}
+
+// Index of the first of the sorted `ranges` that starts at or after `end`
+const rangesBefore = (ranges, end) => {
+    let lo = 0, hi = ranges.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (ranges[mid].start < end) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+};
+
+const ROOT_DIR_INODE = 2;
+const RESIZE_INODE = 7;
+// Reserved inodes that aren't reachable from the root directory, apart from the journal, which
+// the superblock points to, and the bad blocks inode, which lists blocks known to be bad anyway
+const RESERVED_INODE_NAMES = {
+    3: 'user quota',
+    4: 'group quota',
+    5: 'boot loader',
+    6: 'undelete directory',
+    [RESIZE_INODE]: 'resize inode',
+    9: 'exclude inode',
+    10: 'replica inode',
+};
+const CHECKPOINT_INTERVAL_MS = 30 * 1000;
+
+const BACKENDS = {
+    native: NativeBackend,
+    debugfs: DebugfsBackend,
+};
+
+const PHASE = {
+    // Walking the directory tree from the root
+    TREE: 'tree',
+    // Scanning orphaned directories, then checking the orphaned inodes left over
+    ORPHANS: 'orphans',
+};
+
+// Damage that leaves the rest of a file's data readable
+const SALVAGEABLE_REASONS = new Set([REASON.FILE_DATA, REASON.MAPPING_METADATA]);
+
+/**
+ * Say which backup copies of the superblock and group descriptors are used, if any.
+ */
+const describeBackupCopies = geometry => {
+    const copies = [];
+    if (geometry.superblockGroup !== 0) copies.push(`the backup superblock in group ${geometry.superblockGroup}`);
+    const groups = geometry.backupDescriptorGroups;
+    if (groups.length > 0) copies.push(`backup group descriptors from group${groups.length > 1 ? 's' : ''} ${groups.join(', ')}`);
+    return copies.length > 0 ? `The primary copies are in bad regions or damaged, using ${copies.join(' and ')}` : null;
+};
+
+/**
+ * Like Promise.all(items.map(f)), but with at most `limit` calls of f running at once.
+ */
+const mapConcurrently = async (items, limit, f) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await f(items[i]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
+
+const unreadableFinding = (path, inode, inodeInfo = null) =>
+    ({ path, inode, type: inodeInfo?.type ?? null, size: inodeInfo?.size ?? null, reason: REASON.UNREADABLE_METADATA });
+
+/**
+ * One scan of one filesystem, made by scanFilesystem. Iterating over it runs the scan and yields
+ * the findings as they are made; the backend is closed when the iteration ends, whether it
+ * finished, was stopped with `signal` or was left with `break`. Everything it needs is kept in
+ * the scan, so several can run at once.
+ */
+class FilesystemScan {
+    #options;
+    // Sorted, non-overlapping { start, length } byte ranges relative to the start of the filesystem
+    #badRanges;
+    // With a fill marker, finds more of them in the image as the scan goes
+    #fillMarkers = null;
+    // Which part of the tree is scanned
+    #tree;
+    // Inodes already checked, directories still to be scanned and everything found so far
+    #state = null;
+    // Inodes being checked for directories whose results aren't committed yet
+    #claimed = new Set();
+    // Findings committed since the last were yielded
+    #unyielded = [];
+    #fingerprint;
+    #lastCheckpoint;
+    #iterated = false;
+    #walking = false;
+
+    backend = null;
+    geometry = null;
+    // Once iteration is over: whether the scan got to the end, and results asked for in the options
+    completed = false;
+    rootMissing = false;
+    index = null;
+    domain = null;
+    tally = null;
+    disagreements = null;
+
+    constructor(options) {
+        const { root = '/', include = [], exclude = [], maxDepth = null } = options;
+        const names = root.split('/').filter(name => name && name !== '.');
+        if (names.includes('..')) throw new Error(`Invalid root ${JSON.stringify(root)}, it can't contain ".."`);
+        const rootPath = names.map(name => `/${name}`).join('');
+        const filtered = rootPath !== '' || include.length > 0 || exclude.length > 0 || maxDepth != null;
+        // Whatever the filters leave out would look orphaned
+        if (filtered && options.orphans) throw new Error('Looking for orphans needs the whole tree, so it can\'t be combined with a root, include or exclude patterns or a maximum depth');
+
+        this.#options = {
+            offset: 0,
+            fillMarker: null,
+            sectorSize: 512,
+            backend: 'native',
+            jobs: 1,
+            detail: false,
+            orphans: false,
+            index: false,
+            rollup: false,
+            domainFilter: null,
+            stateFile: null,
+            salvage: null,
+            salvageFill: Buffer.alloc(0),
+            partition: null,
+            log: console.error,
+            ...options,
+        };
+        this.#options.mapfileStart ??= this.#options.offset;
+        if (!BACKENDS[this.#options.backend]) throw new Error(`Unknown backend ${JSON.stringify(this.#options.backend)}, expected one of ${Object.keys(BACKENDS).join(', ')}`);
+        this.#badRanges = options.badRanges ?? [];
+        this.#tree = {
+            root: rootPath,
+            maxDepth: maxDepth ?? Infinity,
+            patterns: { root: rootPath, include, exclude, maxDepth },
+            // Without include patterns, everything not excluded is checked
+            included: include.length > 0 ? pathMatcher(include) : () => true,
+            leadsToIncluded: include.length > 0 ? pathPrefixMatcher(include) : () => true,
+            excluded: exclude.length > 0 ? pathMatcher(exclude) : () => false,
+            // The reserved inodes aren't below any directory, so they're only checked in full scans
+            wholeFilesystem: rootPath === '' && include.length === 0,
+            // Otherwise there's no telling how many inodes the scan will check
+            everyInode: !filtered,
+        };
+    }
+
+    get #stopping() {
+        return Boolean(this.#options.signal?.aborted);
+    }
+
+    /**
+     * How far the tree walk has got, as { checked, expected, pending, bad, requests }, or null
+     * before it starts. `expected` is how many inodes will be checked in all, if known, and
+     * `requests` how many reads or debugfs commands the backend has done.
+     */
+    get progress() {
+        if (!this.#walking) return null;
+        return {
+            checked: this.#state.visited.size,
+            // The superblock's count of free inodes is only an estimate, e2fsck corrects it
+            expected: this.#tree.everyInode ? this.geometry.inodeCount - this.geometry.freeInodes : null,
+            pending: this.#state.pending.length,
+            bad: this.#state.findings.filter(finding => finding.reason !== REASON.ORPHANED).length + [...this.#state.linked.values()].filter(held => held.finding).length,
+            requests: this.backend.requestCount,
+        };
+    }
+
+    rangeIsSafe(start, end) {
+        if (this.#fillMarkers && !this.#fillMarkers.rangeIsSafe(start, end)) return false;
+
+        // Only the last bad range that starts before the end of this one can overlap it
+        const range = this.#badRanges[rangesBefore(this.#badRanges, end) - 1];
+
+        // Overlaps this bad range
+        if (range && start < range.start + range.length) return false;
+
+        // Not overlapping any bad ranges
+        return true;
+    }
+
+    badRangesOverlapping(start, end) {
+        const ranges = this.#badRanges;
+        const overlapping = [];
+        for (let i = rangesBefore(ranges, end) - 1; i >= 0 && start < ranges[i].start + ranges[i].length; i--) {
+            overlapping.unshift(ranges[i]);
+        }
+        return this.#fillMarkers ? mergeRanges([...overlapping, ...this.#fillMarkers.badRangesOverlapping(start, end)]) : overlapping;
+    }
+
+    blockIsSafe(blockNum) {
+        return this.rangeIsSafe(blockNum * this.geometry.blockSize, (blockNum + 1) * this.geometry.blockSize);
+    }
+
+    inodeIsSafe(inode) {
+        const address = getAddressOfInode(this.geometry, inode);
+        return this.rangeIsSafe(address, address + this.geometry.inodeSize);
+    }
+
+    [Symbol.asyncIterator]() {
+        if (this.#iterated) throw new Error('A scan can only be iterated over once');
+        this.#iterated = true;
+        return this.#run();
+    }
+
+    // The findings committed since this was last called
+    *#takeFindings() {
+        const findings = this.#unyielded;
+        this.#unyielded = [];
+        yield* findings;
+    }
+
+    async *#run() {
+        const { device, offset, fillMarker, sectorSize, stateFile, jobs, log } = this.#options;
+        try {
+            this.#fillMarkers = fillMarker && FillMarkerScanner.open(device, { marker: fillMarker, sectorSize, offset });
+            const { partition, detail, orphans, index, rollup } = this.#options;
+            this.#fingerprint = scanFingerprint({ device, partition, badRanges: this.#badRanges, fillMarkers: this.#fillMarkers, detail, orphans, index, rollup, tree: this.#tree.patterns });
+            this.#state = stateFile && loadState(stateFile, this.#fingerprint);
+            const resumed = Boolean(this.#state);
+            if (resumed) {
+                log(`Resuming from ${stateFile}: ${this.#state.visited.size} inodes checked, ${this.#state.pending.length} directories pending`);
+                yield* this.#state.findings;
+            }
+            else {
+                this.#state = { phase: PHASE.TREE, visited: new Set(), pending: [], orphans: [], linked: new Map(), owners: {}, findings: [], tally: rollup ? createTally({ exactDamage: this.#options.detail }) : null };
+            }
+            this.#lastCheckpoint = Date.now();
+
+            const Backend = BACKENDS[this.#options.backend];
+            const backendOptions = { offset, timeout: this.#options.timeout, signal: this.#options.killSignal, rangeIsSafe: (start, end) => this.rangeIsSafe(start, end), log };
+            this.backend = jobs > 1 ? await BackendPool.open(Backend, device, backendOptions, jobs) : await Backend.open(device, backendOptions);
+            // Now you can start interacting with the filesystem
+            this.geometry = await this.backend.getGeometry();
+            const backups = describeBackupCopies(this.geometry);
+            if (backups) log(backups);
+            // Now you can call getAddressOfInode
+            if (!resumed) {
+                const root = await this.#findScanRoot();
+                if (!root) {
+                    this.rootMissing = true;
+                    return;
+                }
+                this.#state.pending.push(root);
+            }
+            if (this.#tree.wholeFilesystem) await this.#checkReservedInodes();
+            yield* this.#takeFindings();
+
+            this.#walking = true;
+            yield* this.#scanPendingDirectories();
+
+            if (orphans && this.#state.phase === PHASE.TREE && !this.#stopping) {
+                log('Looking for orphaned inodes');
+                await this.#queueOrphans();
+                yield* this.#takeFindings();
+                yield* this.#scanPendingDirectories();
+            }
+
+            while (this.#state.orphans.length > 0 && !this.#stopping) {
+                const finding = await this.#checkOrphan(this.#state.orphans[this.#state.orphans.length - 1]);
+                this.#state.orphans.pop();
+                if (finding) this.#commitFindings([finding]);
+                this.#checkpoint();
+                yield* this.#takeFindings();
+            }
+
+            if (this.#stopping) return;
+            this.#flushLinkedFindings();
+            yield* this.#takeFindings();
+            if (this.#options.salvage) await this.#salvageFindings();
+            if (this.#stopping) return;
+            if (index) this.index = await this.#buildIndex();
+            if (this.#options.domainFilter) this.domain = await this.#findDomain();
+            if (rollup) this.tally = this.#state.tally;
+            if (this.#fillMarkers) this.disagreements = this.#fillMarkers.disagreements(this.#badRanges);
+            this.completed = true;
+        }
+        finally {
+            this.#walking = false;
+            if (this.#state && stateFile) saveState(stateFile, this.#fingerprint, this.#state);
+            await this.backend?.close();
+            this.#fillMarkers?.close();
+        }
+    }
+
+    #checkpoint() {
+        const { stateFile } = this.#options;
+        if (stateFile && Date.now() - this.#lastCheckpoint >= CHECKPOINT_INTERVAL_MS) {
+            saveState(stateFile, this.#fingerprint, this.#state);
+            this.#lastCheckpoint = Date.now();
+        }
+    }
+
+    /**
+     * Follow the root option down from the root directory, returning the { path, inode } to start
+     * the tree walk from, or null if there is no such directory. Throws if a directory on the way is damaged.
+     */
+    async #findScanRoot() {
+        const { root } = this.#tree;
+        let path = '', inode = ROOT_DIR_INODE;
+        if (!root) return { path, inode };
+        const names = root.split('/').slice(1);
+        for (let i = 0; ; i++) {
+            if (!this.inodeIsSafe(inode)) throw new Error(`Can't reach ${root}, the inode of ${path || '/'} is in a bad region`);
+            const inodeInfo = new InodeInfo(this, inode, '', await this.backend.readInode(inode));
+            if (!inodeInfo.isDir) return null;
+            if (i === names.length) return { path, inode };
+            if ((await inodeInfo.getDamage({ stopAtFirst: true })).ranges.length > 0) throw new Error(`Can't reach ${root}, ${path || '/'} is damaged`);
+            const entry = (await this.backend.listDir(inode)).find(entry => entry.name === names[i]);
+            if (!entry) return null;
+            path += `/${names[i]}`;
+            inode = entry.inode;
+        }
+    }
+
+    /**
+     * Scan the directories in the pending stack, up to `jobs` at a time, until there are none
+     * left, yielding the findings of each as it is committed. Each is taken from the top of the
+     * stack, and only removed once its results are committed, so an interruption or failure
+     * leaves it for the next run.
+     */
+    async *#scanPendingDirectories() {
+        const running = new Map();
+        const scanPending = async pending => {
+            const inodeBuf = await this.#unlessUnreadable(this.backend.readInode(pending.inode), () => null);
+            if (inodeBuf) {
+                const inodeInfo = new InodeInfo(this, pending.inode, '', inodeBuf);
+                const result = await this.#scanDirectory(pending.path, inodeInfo);
+                // An orphaned directory is only reported as orphaned if nothing else is wrong with it
+                if (pending.orphan && !result.findings.some(finding => finding.inode === pending.inode)) {
+                    result.findings.unshift(this.#inodeFinding(pending.path, inodeInfo, { ranges: [], reason: REASON.ORPHANED, holes: [] }));
+                }
+                return { pending, result };
+            }
+            const result = { findings: [unreadableFinding(pending.path || '/', pending.inode)], visited: new Set(), subdirs: [], links: [], owners: [], tally: createTally() };
+            tallyDirectory(result.tally, pending.path || '/', true);
+            return { pending, result };
+        };
+
+        try {
+            while (running.size > 0 || !this.#stopping) {
+                while (running.size < this.#options.jobs && !this.#stopping) {
+                    const pending = this.#state.pending.findLast(pending => !running.has(pending));
+                    if (!pending) break;
+                    running.set(pending, scanPending(pending));
+                }
+                if (running.size === 0) break;
+
+                const { pending, result } = await Promise.race(running.values());
+                running.delete(pending);
+                this.#state.pending.splice(this.#state.pending.lastIndexOf(pending), 1);
+                this.#commitDirectory(result);
+                this.#checkpoint();
+                yield* this.#takeFindings();
+            }
+        }
+        finally {
+            // Don't close the backend under directories that are still being scanned
+            await Promise.allSettled(running.values());
+        }
+    }
+
+    /**
+     * Map the blocks of an inode for the block-owner index, as [[block, count, role]] runs.
+     * Parts of the file under a bad extent tree node or indirect block are left out.
+     */
+    async #mapOwnedBlocks(inodeInfo) {
+        // Several inodes with the same extended attributes can share the block
+        const extents = inodeInfo.xattrBlock ? [[inodeInfo.xattrBlock, 1, ROLE.XATTR]] : [];
+        const readBlock = async blockNum => {
+            extents.push([blockNum, 1, ROLE.MAPPING]);
+            return this.blockIsSafe(blockNum) ? await this.backend.readBlock(blockNum) : null;
+        };
+        for await (const run of mapInodeBlocks(this.geometry, inodeInfo.buf, readBlock)) {
+            extents.push([run.physical, run.count, ROLE.DATA]);
+        }
+        return extents;
+    }
+
+    async #indexInode(path, inodeInfo) {
+        return {
+            inode: inodeInfo.id,
+            type: inodeInfo.type,
+            paths: [path],
+            extents: await this.#mapOwnedBlocks(inodeInfo),
+        };
+    }
+
+    #commitOwners(owners, links = []) {
+        for (const { inode, ...owner } of owners) {
+            // Also indexed under another name by a directory scanned at the same time
+            const known = this.#state.owners[inode];
+            if (known) known.paths.push(...owner.paths.filter(path => !known.paths.includes(path)));
+            else this.#state.owners[inode] = owner;
+        }
+        for (const { inode, path } of links) {
+            const owner = this.#state.owners[inode];
+            if (owner && !owner.paths.includes(path)) owner.paths.push(path);
+        }
+    }
+
+    /**
+     * Get the free blocks of every group whose block bitmap can be read, as [[block, count]] runs.
+     */
+    async #findFreeBlocks() {
+        const { geometry } = this;
+        const free = [];
+        for (let group = 0; group < geometry.groupCount; group++) {
+            const firstBlock = firstBlockOfGroup(geometry, group);
+            const count = Math.min(geometry.blocksPerGroup, geometry.blockCount - firstBlock);
+            // Everything but the group's own metadata, which takes precedence in lookups anyway
+            if (!geometry.blockBitmapInitByGroup.get(group)) {
+                free.push([firstBlock, count]);
+                continue;
+            }
+            const bitmapBlock = geometry.blockBitmapByGroup.get(group);
+            if (!this.blockIsSafe(bitmapBlock)) continue;
+            free.push(...bitmapFreeRuns(await this.backend.readBlock(bitmapBlock), firstBlock, count));
+        }
+        return free;
+    }
+
+    async #buildIndex() {
+        const { geometry, backend } = this;
+        const metadata = getMetadataRegions(geometry);
+        if (geometry.journalInode && this.inodeIsSafe(geometry.journalInode)) {
+            const journal = new InodeInfo(this, geometry.journalInode, '', await backend.readInode(geometry.journalInode));
+            for (const [start, count] of await this.#mapOwnedBlocks(journal)) metadata.push({ start, count, kind: 'journal', group: null });
+        }
+        // The resize inode's doubly indirect block lists the reserved group descriptor blocks
+        if (geometry.features.has('resize_inode') && this.inodeIsSafe(RESIZE_INODE)) {
+            const dind = (await backend.readInode(RESIZE_INODE)).readUint32LE(0x28 + 13 * 4);
+            if (dind) metadata.push({ start: dind, count: 1, kind: 'resize-inode', group: null });
+        }
+
+        return buildFilesystemIndex({
+            partition: this.#options.partition,
+            start: this.#options.mapfileStart,
+            geometry,
+            owners: this.#state.owners,
+            metadata,
+            free: await this.#findFreeBlocks(),
+        });
+    }
+
+    /**
+     * Write what can be read of each damaged regular file into the salvage directory, under its
+     * path in the filesystem, with the damaged ranges filled.
+     */
+    async #salvageFindings() {
+        const { salvage, salvageFill, partition, log } = this.#options;
+        // The reserved inodes, such as the journal, aren't files anyone wants back
+        const files = this.#state.findings.filter(finding => finding.type === 'file' && finding.inode >= this.geometry.firstInode && SALVAGEABLE_REASONS.has(finding.reason));
+        if (files.length === 0) return;
+        // The progress counts are the tree walk's, which is over
+        this.#walking = false;
+        log(`Salvaging ${files.length} damaged file${files.length > 1 ? 's' : ''} into ${salvage}`);
+        const base = partition == null ? salvage : join(salvage, `partition${partition}`);
+
+        for (const finding of files) {
+            if (this.#stopping) return;
+            await this.#unlessUnreadable((async () => {
+                const inodeInfo = new InodeInfo(this, finding.inode, '', await this.backend.readInode(finding.inode));
+                const { ranges, runs } = await inodeInfo.getDamage({ withRuns: true });
+                await salvageFile((finding.paths ?? [finding.path]).map(path => join(base, path)), {
+                    size: inodeInfo.size,
+                    blockSize: this.geometry.blockSize,
+                    runs,
+                    ranges,
+                    readBlock: blockNum => this.backend.readBlock(blockNum),
+                    fill: salvageFill,
+                    description: `${finding.path} (inode ${finding.inode}, ${inodeInfo.size} bytes)`,
+                });
+            })(), () => null);
+        }
+    }
+
+    /**
+     * Get the bad ranges within the blocks of the damaged files that match the domain filter,
+     * including their extent tree nodes and indirect blocks, or within their inodes when those are
+     * in a bad region. The ranges are shifted to be relative to `mapfileStart`.
+     */
+    async #findDomain() {
+        const { domainFilter, mapfileStart } = this.#options;
+        const { geometry } = this;
+        const domain = [];
+        const addOverlap = (start, end) => {
+            for (const range of this.badRangesOverlapping(start, end)) {
+                const overlapStart = Math.max(start, range.start);
+                const overlapEnd = Math.min(end, range.start + range.length);
+                domain.push({ start: mapfileStart + overlapStart, length: overlapEnd - overlapStart });
+            }
+        };
+
+        for (const finding of this.#state.findings) {
+            // Reading an unreadable inode again would only time out again
+            if (finding.reason === REASON.ORPHANED || finding.reason === REASON.UNREADABLE_METADATA) continue;
+            if (!(finding.paths ?? [finding.path]).some(domainFilter)) continue;
+            if (finding.reason === REASON.INODE_TABLE) {
+                const address = getAddressOfInode(geometry, finding.inode);
+                addOverlap(address, address + geometry.inodeSize);
+                continue;
+            }
+            const owned = await this.#unlessUnreadable((async () => {
+                const inodeInfo = new InodeInfo(this, finding.inode, '', await this.backend.readInode(finding.inode));
+                return await this.#mapOwnedBlocks(inodeInfo);
+            })(), () => []);
+            for (const [block, count] of owned) addOverlap(block * geometry.blockSize, (block + count) * geometry.blockSize);
+        }
+
+        return domain;
+    }
+
+    /**
+     * Read every initialized inode in the inode tables, skipping the ones in bad regions, and
+     * return the numbers of the in-use ones that the tree walk never reached.
+     */
+    async #findUnvisitedInodes() {
+        const { geometry } = this;
+        const { blockSize, inodeSize, inodesPerGroup } = geometry;
+        const inodesPerBlock = blockSize / inodeSize;
+        const unvisited = [];
+
+        for (let group = 0; group < geometry.groupCount; group++) {
+            const firstBlock = geometry.startOfInodeTableByGroup.get(group) / blockSize;
+            const initialized = geometry.initializedInodesByGroup.get(group);
+
+            for (let first = 0; first < initialized; first += inodesPerBlock) {
+                let block;
+                for (let index = first; index < Math.min(first + inodesPerBlock, initialized); index++) {
+                    const inode = group * inodesPerGroup + index + 1;
+                    if (inode < geometry.firstInode || this.#state.visited.has(inode) || !this.inodeIsSafe(inode)) continue;
+                    if (block === undefined) block = await this.#unlessUnreadable(this.backend.readBlock(firstBlock + first / inodesPerBlock), () => null);
+                    // Orphans in an inode table block debugfs can't read go unnoticed
+                    if (!block) break;
+                    const offset = (index - first) * inodeSize;
+                    if (inodeIsInUse(block.subarray(offset, offset + inodeSize))) unvisited.push(inode);
+                }
+            }
+        }
+
+        return unvisited;
+    }
+
+    /**
+     * Get the names that survive in the readable blocks of the directories the tree walk couldn't
+     * list, as a map of inode number to path.
+     */
+    async #recoverNamesFromDamagedDirectories() {
+        const names = new Map();
+        const readSafeBlock = async blockNum => this.blockIsSafe(blockNum) ? await this.backend.readBlock(blockNum) : null;
+
+        for (const finding of this.#state.findings) {
+            if (finding.type !== 'directory' || finding.reason === REASON.UNREADABLE_METADATA) continue;
+            const parentPath = finding.path === '/' ? '' : finding.path;
+
+            await this.#unlessUnreadable((async () => {
+                const inodeBuf = await this.backend.readInode(finding.inode);
+                for await (const run of mapInodeBlocks(this.geometry, inodeBuf, readSafeBlock)) {
+                    for (let i = 0; i < run.count; i++) {
+                        const block = await readSafeBlock(run.physical + i);
+                        if (!block) continue;
+                        for (const entry of parseDirBlock(this.geometry, block)) {
+                            if (!names.has(entry.inode)) names.set(entry.inode, `${parentPath}/${entry.name}`);
+                        }
+                    }
+                }
+            })(), () => null);
+        }
+
+        return names;
+    }
+
+    async #getParentInode(inodeInfo) {
+        const readBlock = blockNum => this.backend.readBlock(blockNum);
+        for await (const run of mapInodeBlocks(this.geometry, inodeInfo.buf, readBlock)) {
+            const entries = parseDirBlock(this.geometry, await readBlock(run.physical), { includeDots: true });
+            return entries.find(entry => entry.name === '..')?.inode ?? null;
+        }
+        return null;
+    }
+
+    /**
+     * Find the in-use inodes the tree walk never reached. Intact directories among them whose
+     * parent isn't one of them are queued to be scanned like the root directory, and the rest
+     * are left in the state's orphans to be checked one by one.
+     */
+    async #queueOrphans() {
+        const names = await this.#recoverNamesFromDamagedDirectories();
+        const unvisited = await this.#findUnvisitedInodes();
+        const unvisitedDirs = new Map();
+
+        for (const inode of unvisited) {
+            if (!this.inodeIsSafe(inode)) continue;
+            // Ones that can't be read are reported by checkOrphan
+            const inodeBuf = await this.#unlessUnreadable(this.backend.readInode(inode), () => null);
+            if (!inodeBuf) continue;
+            const inodeInfo = new InodeInfo(this, inode, '', inodeBuf);
+            if (inodeInfo.isDir && await this.#unlessUnreadable(inodeInfo.dataIsSafe(), () => false)) unvisitedDirs.set(inode, inodeInfo);
+        }
+
+        const roots = [];
+        for (const [inode, inodeInfo] of unvisitedDirs) {
+            if (!unvisitedDirs.has(await this.#unlessUnreadable(this.#getParentInode(inodeInfo), () => null))) roots.push(inodeInfo);
+        }
+
+        const orphanPath = inode => names.get(inode) ?? `#${inode}`;
+        const rootInodes = new Set(roots.map(root => root.id));
+        const state = this.#state;
+        state.phase = PHASE.ORPHANS;
+        for (const root of roots) state.visited.add(root.id);
+        // Both are used as stacks, so reverse them to work through them in inode order
+        state.pending = roots.map(root => ({ path: orphanPath(root.id), inode: root.id, orphan: true })).reverse();
+        state.orphans = unvisited
+            .filter(inode => !rootInodes.has(inode))
+            .map(inode => ({ path: orphanPath(inode), inode }))
+            .reverse();
+    }
+
+    /**
+     * Check the journal, the resize inode and the other reserved inodes that are in use, reporting
+     * them as "<journal>" and so on. Each is only checked once per scan.
+     */
+    async #checkReservedInodes() {
+        const { geometry } = this;
+        const reserved = new Map(Object.entries(RESERVED_INODE_NAMES).map(([inode, name]) => [+inode, name]));
+        if (geometry.journalInode) reserved.set(geometry.journalInode, 'journal');
+        const findings = [];
+
+        for (const [inode, name] of reserved) {
+            if (this.#state.visited.has(inode)) continue;
+            this.#state.visited.add(inode);
+            const path = `<${name}>`;
+            if (!this.inodeIsSafe(inode)) {
+                // Only worth mentioning if the features say it should be there
+                if (inode === geometry.journalInode || (inode === RESIZE_INODE && geometry.features.has('resize_inode'))) {
+                    findings.push({ path, inode, type: null, size: null, reason: REASON.INODE_TABLE });
+                }
+                continue;
+            }
+
+            const finding = await this.#unlessUnreadable((async () => {
+                const inodeInfo = new InodeInfo(this, inode, '', await this.backend.readInode(inode));
+                if (!inodeIsInUse(inodeInfo.buf)) return null;
+                if (inode === RESIZE_INODE) {
+                    const reason = this.#resizeInodeDamage(inodeInfo);
+                    return reason && { path, inode, type: inodeInfo.type, size: inodeInfo.size, reason };
+                }
+                const damage = await inodeInfo.getDamage({ stopAtFirst: !this.#options.detail });
+                return damage.reason && this.#inodeFinding(path, inodeInfo, damage);
+            })(), () => unreadableFinding(path, inode));
+            if (finding) findings.push(finding);
+        }
+
+        this.#commitFindings(findings);
+    }
+
+    /**
+     * The resize inode's block map isn't a file's: its doubly indirect block lists the reserved
+     * group descriptor blocks, which in turn list their backups. Returns the reason it's damaged, or null.
+     */
+    #resizeInodeDamage(inodeInfo) {
+        const { geometry } = this;
+        const dind = inodeInfo.buf.readUint32LE(0x28 + 13 * 4);
+        if (dind && !this.blockIsSafe(dind)) return REASON.MAPPING_METADATA;
+        const reservedGdt = getMetadataRegions(geometry).filter(region => region.kind === 'reserved-gdt');
+        const bad = reservedGdt.some(({ start, count }) => !this.rangeIsSafe(start * geometry.blockSize, (start + count) * geometry.blockSize));
+        return bad ? REASON.FILE_DATA : null;
+    }
+
+    /**
+     * Check an orphaned inode that wasn't found by scanning the orphaned directories.
+     */
+    async #checkOrphan({ path, inode }) {
+        if (this.#state.visited.has(inode)) return null;
+        this.#state.visited.add(inode);
+
+        return this.#unlessUnreadable((async () => {
+            const inodeInfo = new InodeInfo(this, inode, '', await this.backend.readInode(inode));
+            const damage = await inodeInfo.getDamage({ stopAtFirst: !this.#options.detail });
+            if (this.#options.index) this.#commitOwners([await this.#indexInode(path, inodeInfo)]);
+            // Orphaned directories that could be listed were scanned instead
+            if (this.#state.tally && inodeInfo.isDir) tallyDirectory(this.#state.tally, path, Boolean(damage.reason));
+            else if (this.#state.tally) {
+                const damagedBytes = this.#options.detail ? sumLengths(damage.ranges) : null;
+                tallyFile(this.#state.tally, path, { type: inodeInfo.type, size: inodeInfo.size, damaged: Boolean(damage.reason), damagedBytes });
+            }
+            damage.reason ??= REASON.ORPHANED;
+            return { ...this.#inodeFinding(path, inodeInfo, damage), orphan: true };
+        })(), () => {
+            if (this.#state.tally) tallyFile(this.#state.tally, path, { type: null, size: null, damaged: true });
+            return { ...unreadableFinding(path, inode), orphan: true };
+        });
+    }
+
+    /**
+     * Await `promise`, but if the metadata it needed couldn't be read, return the result of
+     * `onUnreadable` instead.
+     */
+    async #unlessUnreadable(promise, onUnreadable) {
+        try {
+            return await promise;
+        }
+        catch (err) {
+            if (!(err instanceof UnreadableMetadataError)) throw err;
+            this.#options.log(err.message);
+            return onUnreadable();
+        }
+    }
+
+    #inodeFinding(path, inodeInfo, { ranges, reason, holes }) {
+        const finding = { path, inode: inodeInfo.id, type: inodeInfo.type, size: inodeInfo.size, reason };
+        if (this.#options.detail) {
+            finding.damagedBytes = sumLengths(ranges);
+            finding.damagedRanges = ranges;
+            finding.holes = holes;
+        }
+        return finding;
+    }
+
+    // How many levels below the root directory of the scan `path` is
+    #depthBelowRoot(path) {
+        return path.split('/').length - this.#tree.root.split('/').length;
+    }
+
+    /**
+     * Check a directory and its entries, returning { findings, visited, subdirs, links, owners, tally }
+     * for commitDirectory. Nothing is recorded until the whole directory has been checked, and
+     * subdirectories are queued rather than scanned right away, so the scan can be checkpointed
+     * between directories.
+     */
+    async #scanDirectory(path, inodeInfo) {
+        const { detail, index, jobs } = this.#options;
+        const tree = this.#tree;
+        const result = { findings: [], visited: new Set(), subdirs: [], links: [], owners: [], tally: createTally() };
+        const entries = await this.#unlessUnreadable((async () => {
+            if (index) result.owners.push(await this.#indexInode(path || '/', inodeInfo));
+
+            const damage = await inodeInfo.getDamage({ stopAtFirst: !detail });
+            if (damage.reason) result.findings.push(this.#inodeFinding(path || '/', inodeInfo, damage));
+            // Only its extended attributes are lost, so it can still be listed
+            if (damage.ranges.length > 0) return null;
+            if (this.#depthBelowRoot(path) >= tree.maxDepth) return null;
+            return await this.backend.listDir(inodeInfo.id);
+        })(), () => {
+            result.findings.push(unreadableFinding(path || '/', inodeInfo.id, inodeInfo));
+            return null;
+        });
+        // Anything found so far is about the directory itself
+        tallyDirectory(result.tally, path || '/', result.findings.length > 0);
+        if (!entries) return result;
+
+        // Excluded entries, and ones with nothing included at or below them, aren't read at all
+        const wantedEntries = entries.filter(entry => {
+            const entryPath = `${path}/${entry.name}`;
+            return !tree.excluded(entryPath) && (tree.included(entryPath) || tree.leadsToIncluded(entryPath));
+        });
+        const safeEntryInfos = await Promise.all(wantedEntries.map(async entry => {
+            const inodeBuf = await this.#unlessUnreadable((async () => {
+                // The link count can't be read, so every name for it is collected until the end of the scan
+                if (!this.inodeIsSafe(entry.inode)) {
+                    result.links.push({ path: `${path}/${entry.name}`, inode: entry.inode, links: null, finding: { path: `${path}/${entry.name}`, inode: entry.inode, type: null, size: null, reason: REASON.INODE_TABLE } });
+                    tallyFile(result.tally, `${path}/${entry.name}`, { type: null, size: null, damaged: true });
+                    return null;
+                }
+                return await this.backend.readInode(entry.inode);
+            })(), () => {
+                // Like an inode in a bad region, its link count is unknown. So is that of a garbage inode number
+                const finding = unreadableFinding(`${path}/${entry.name}`, entry.inode);
+                result.links.push({ path: finding.path, inode: entry.inode, links: null, finding });
+                tallyFile(result.tally, `${path}/${entry.name}`, { type: null, size: null, damaged: true });
+                return null;
+            });
+            return inodeBuf && new InodeInfo(this, entry.inode, entry.name, inodeBuf);
+        }));
+
+        const files = [];
+        for (const entryInfo of safeEntryInfos) {
+            if (!entryInfo) continue;
+            // Only read in case it's a directory leading to included paths
+            if (!entryInfo.isDir && !tree.included(`${path}/${entryInfo.name}`)) continue;
+            // Another name for an inode that was already checked, or is being checked for another directory
+            if (this.#state.visited.has(entryInfo.id) || this.#claimed.has(entryInfo.id)) {
+                if (!entryInfo.isDir) result.links.push({ path: `${path}/${entryInfo.name}`, inode: entryInfo.id });
+                continue;
+            }
+            // Claimed before its check starts, so directories scanned at the same time don't check it too
+            this.#claimed.add(entryInfo.id);
+            result.visited.add(entryInfo.id);
+            // Symlinks and device nodes are checked like files, for their targets and extended attributes
+            if (entryInfo.isDir) result.subdirs.push({ path: `${path}/${entryInfo.name}`, inode: entryInfo.id });
+            else files.push(entryInfo);
+        }
+
+        const checks = await mapConcurrently(files, jobs, entryInfo => this.#unlessUnreadable((async () => ({
+            entryInfo,
+            owner: index ? await this.#indexInode(`${path}/${entryInfo.name}`, entryInfo) : null,
+            damage: await entryInfo.getDamage({ stopAtFirst: !detail }),
+        }))(), () => ({ entryInfo, owner: null, damage: null })));
+
+        for (const { entryInfo, owner, damage } of checks) {
+            if (owner) result.owners.push(owner);
+            // The ranges are only all there with --detail, and none are known if the file's blocks couldn't be mapped
+            const damagedBytes = damage && detail ? sumLengths(damage.ranges) : null;
+            tallyFile(result.tally, `${path}/${entryInfo.name}`, { type: entryInfo.type, size: entryInfo.size, damaged: !damage || Boolean(damage.reason), damagedBytes });
+            if (!damage || damage.reason) {
+                const finding = damage ?
+                    this.#inodeFinding(`${path}/${entryInfo.name}`, entryInfo, damage) :
+                    unreadableFinding(`${path}/${entryInfo.name}`, entryInfo.id, entryInfo);
+                if (entryInfo.linkCount > 1) result.links.push({ path: finding.path, inode: entryInfo.id, links: entryInfo.linkCount, finding });
+                else result.findings.push(finding);
+            }
+        }
+
+        return result;
+    }
+
+    #commitDirectory({ findings, visited, subdirs, links, owners, tally }) {
+        const state = this.#state;
+        this.#commitOwners(owners, links);
+        if (state.tally) mergeTally(state.tally, tally);
+        // A directory scanned at the same time may have reached the same subdirectory by another name
+        const newSubdirs = subdirs.filter(subdir => !state.visited.has(subdir.inode));
+        for (const inode of visited) state.visited.add(inode);
+        // Reversed so the first subdirectory is scanned next
+        state.pending.push(...newSubdirs.reverse());
+        // Everything below an orphaned directory is orphaned too
+        if (state.phase === PHASE.ORPHANS) {
+            for (const finding of findings) finding.orphan = true;
+            for (const link of links) if (link.finding) link.finding.orphan = true;
+        }
+        this.#commitFindings(findings);
+        // Findings first, in case another name for the same inode came earlier in the directory
+        for (const link of links) if (link.finding) this.#commitLink(link);
+        for (const link of links) if (!link.finding) this.#commitLink(link);
+        for (const inode of visited) {
+            this.#claimed.delete(inode);
+            // Names kept while it was being checked, which turned out to be for nothing
+            if (state.linked.get(inode)?.finding === null) state.linked.delete(inode);
+        }
+    }
+
+    /**
+     * Record a name for a damaged inode that has more than one. Its finding is held back until
+     * all of its names have been seen, so they can be reported together as `paths`. Names of
+     * inodes that weren't damaged are ignored, but those of inodes still being checked for
+     * another directory are kept as `names` until it is committed.
+     */
+    #commitLink({ path, inode, links, finding }) {
+        let held = this.#state.linked.get(inode);
+        if (held?.finding) {
+            held.finding.paths = [...held.finding.paths ?? [held.finding.path], path];
+        }
+        else if (finding) {
+            if (held) finding.paths = [finding.path, ...held.names];
+            held = { links, finding };
+            this.#state.linked.set(inode, held);
+        }
+        else {
+            if (this.#claimed.has(inode)) this.#state.linked.set(inode, { links: null, finding: null, names: [...held?.names ?? [], path] });
+            return;
+        }
+
+        const seen = held.finding.paths?.length ?? 1;
+        if (held.links != null && seen >= held.links) {
+            this.#state.linked.delete(inode);
+            this.#commitFindings([held.finding]);
+        }
+    }
+
+    // Names that were never found are in damaged directories, or the link count is wrong
+    #flushLinkedFindings() {
+        this.#commitFindings([...this.#state.linked.values()].filter(held => held.finding).map(held => held.finding));
+        this.#state.linked.clear();
+    }
+
+    #commitFindings(findings) {
+        const { partition } = this.#options;
+        for (const finding of findings) {
+            if (partition != null) finding.partition = partition;
+            this.#state.findings.push(finding);
+            this.#unyielded.push(finding);
+        }
+    }
+}
+
+/**
+ * Scan the ext2/3/4 filesystem `offset` bytes into `device` for files, directories and metadata
+ * in its bad regions. Returns a scan to iterate over with `for await`, which yields finding
+ * objects as the report formats take them. Options:
+ *   badRanges     Sorted, merged { start, length } bad byte ranges relative to the filesystem
+ *   fillMarker    Also count sectors filled with this Buffer repeated as bad, with `sectorSize`
+ *   backend       'native' (default) or 'debugfs', and `jobs` sessions of it at once
+ *   timeout       How long a debugfs command may take, in ms
+ *   signal        An AbortSignal to stop after the current directory, leaving the state file to resume from
+ *   killSignal    An AbortSignal to kill debugfs right away
+ *   detail, orphans, root, include, exclude, maxDepth, stateFile, salvage, salvageFill
+ *                 As the command line options
+ *   index         Build a block-owner index, as `scan.index` once it's done
+ *   rollup        Count the files checked in each directory, damaged or not, as `scan.tally` for buildRollup
+ *   domainFilter  Collect the bad ranges of the damaged files whose paths it accepts, as `scan.domain`
+ *   mapfileStart  Where the filesystem starts in mapfile positions, for the index and domain
+ *   partition     Partition number to record in the findings
+ *   log           Called with messages about the scan (default console.error)
+ * With a fill marker, `scan.disagreements` is what FillMarkerScanner.disagreements says about
+ * `badRanges`. If there is no `root` directory, nothing is yielded and `scan.rootMissing` is set.
+ */
+const scanFilesystem = options => new FilesystemScan(options);
+
+module.exports = {
+    BACKENDS,
+    scanFilesystem,
+};
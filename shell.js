@@ -1,6 +1,6 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.Shell = void 0;
+exports.SessionError = exports.ShellSession = exports.Shell = void 0;
 const node_child_process_1 = require("node:child_process");
 const node_fs_1 = require("node:fs");
 const node_path_1 = require("node:path");
@@ -190,9 +190,14 @@ class Shell {
                 p.stderr?.pipe(stderrPipeDest, { end: false });
             }
             const onAbort = () => {
-                this.cmd(`kill -9 -- -${p.pid}`, { shell: true }).catch(err => {
-                    console.error(`Shell: Error when spawning kill command: ${err.message}`);
-                });
+                // Signal the whole process group directly: dash's kill doesn't accept "--", and
+                // this also works when the process is about to exit
+                try {
+                    process.kill(-p.pid, 'SIGKILL');
+                }
+                catch (err) {
+                    if (err.code !== 'ESRCH') console.error(`Shell: Error when killing process group ${p.pid}: ${err.message}`);
+                }
             };
             options.abortSignal?.addEventListener('abort', onAbort);
             function finish() {
@@ -286,6 +291,32 @@ class Shell {
         let { exitCode } = await this.cmd('test', ...testArgs, { ...options, returnExitCode: true });
         return exitCode === 0;
     }
+    /**
+     * Start an interactive, prompt-driven program such as debugfs, and resolve with a ShellSession
+     * to send it commands once it is ready for the first. Arguments are as for cmd(), and the options are:
+     * - prompt: what the program prints when it is ready for a command, a string or RegExp. Without one,
+     *   no commands can be sent, and close() returns the program's output (for dumpe2fs, say)
+     * - echo: the program repeats each command before its output, as debugfs does when its input isn't a
+     *   terminal, so the first line of each response is left out
+     * - timeout: how long a command (or the first prompt) may take, in milliseconds, before the program is killed
+     * - abortSignal, env, inheritEnv, shell: as for cmd()
+     * The program always gets its own process group, so Ctrl-C in the terminal doesn't reach it.
+     */
+    async session(...args) {
+        let options = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : {};
+        let cmdArgs = typeof args[args.length - 1] === 'object' ? args.slice(0, args.length - 1) : args;
+        let { prompt, echo, timeout, abortSignal, ...cmdOptions } = options;
+        let abortController = new AbortController();
+        let { result, stdin, stdout, stderr } = this.cmd(...cmdArgs, {
+            ...cmdOptions,
+            stdin: 'return',
+            stdout: 'return',
+            stderr: 'return',
+            returnExitCode: true,
+            abortSignal: abortController.signal,
+        });
+        return await ShellSession.start({ result, stdin, stdout, stderr, abortController }, { prompt, echo, timeout, abortSignal });
+    }
     /**
      * Send a log message to the configured stdout stream (newline added automatically).
      */
@@ -323,6 +354,170 @@ class Shell {
     }
 }
 exports.Shell = Shell;
+/**
+ * The program of a session exited, or a command took too long and it was killed (`timedOut`).
+ */
+class SessionError extends Error {
+    timedOut;
+    constructor(message, timedOut) {
+        super(message);
+        this.timedOut = timedOut;
+    }
+}
+exports.SessionError = SessionError;
+/**
+ * An interactive program started with Shell.session(). Commands are sent one at a time, in the
+ * order run() is called, and each resolves with what the program printed up to its next prompt.
+ * Once the program exits or a command times out, the command being run and all later ones
+ * fail with the same SessionError.
+ */
+class ShellSession {
+    #stdin;
+    #prompt;
+    #echo;
+    #timeout;
+    #abortController;
+    #exit;
+    #stdoutDecoder = new node_string_decoder_1.StringDecoder('utf-8');
+    #stderrDecoder = new node_string_decoder_1.StringDecoder('utf-8');
+    // Output that hasn't been returned yet
+    #stdout = '';
+    #stderr = '';
+    // The command waiting for the next prompt, as { command, resolve, reject }
+    #current = null;
+    #queue = Promise.resolve();
+    #failure = null;
+    /**
+     * What the program printed before its first prompt, as { stdout, stderr }.
+     */
+    banner = null;
+    static async start({ result, stdin, stdout, stderr, abortController }, { prompt, echo = false, timeout, abortSignal }) {
+        let session = new ShellSession();
+        session.#stdin = stdin;
+        // A global or sticky RegExp would search from where the last match ended
+        session.#prompt = prompt instanceof RegExp ? new RegExp(prompt.source, prompt.flags.replace(/[gy]/g, '')) : prompt;
+        session.#echo = echo;
+        session.#timeout = timeout;
+        session.#abortController = abortController;
+        stdout.on('data', (chunk) => {
+            session.#stdout += session.#stdoutDecoder.write(chunk);
+            session.#lookForPrompt();
+        });
+        stderr.on('data', (chunk) => session.#stderr += session.#stderrDecoder.write(chunk));
+        // Writing to a program that has exited fails, which is noticed when no prompt comes back
+        stdin.on('error', () => { });
+        const onAbort = () => abortController.abort();
+        abortSignal?.addEventListener('abort', onAbort);
+        session.#exit = result.then(({ exitCode }) => exitCode, (err) => {
+            // Killed by the session, rather than failing to start
+            if (abortController.signal.aborted)
+                return 'SIGKILL';
+            throw err;
+        }).finally(() => abortSignal?.removeEventListener('abort', onAbort));
+        session.#exit.then((exitCode) => {
+            const on = session.#current?.command ? ` on "${session.#current.command}"` : '';
+            session.#fail(new SessionError(`exited${on} (${typeof exitCode === 'number' ? `code ${exitCode}` : exitCode})`, false));
+        }, (err) => session.#fail(err));
+        if (prompt != null) {
+            const stdoutBeforePrompt = await session.#waitForPrompt(null);
+            session.banner = { stdout: stdoutBeforePrompt, stderr: session.#takeStderr() };
+        }
+        return session;
+    }
+    /**
+     * Send `command` to the program once the ones before it are done. Resolves with { stdout,
+     * stderr }: what it printed up to the next prompt, and on stderr in the meantime. The two
+     * aren't synchronized, so stderr written just before a prompt can end up with the next command.
+     */
+    run(command) {
+        if (this.#prompt == null)
+            return Promise.reject(new Error('Commands can only be sent to a session with a prompt'));
+        let run = this.#queue.then(async () => {
+            if (this.#failure)
+                throw this.#failure;
+            this.#stdin.write(command + '\n');
+            let stdout = await this.#waitForPrompt(command);
+            if (this.#echo) {
+                const newline = stdout.indexOf('\n');
+                stdout = newline < 0 ? '' : stdout.slice(newline + 1);
+            }
+            return { stdout, stderr: this.#takeStderr() };
+        });
+        this.#queue = run.catch(() => { });
+        return run;
+    }
+    /**
+     * Wait for the commands already sent, close the program's input and wait for it to exit.
+     * Resolves with { exitCode, stdout, stderr }, where stdout is what the program printed after
+     * its last prompt, which is all of it for a session without a prompt.
+     */
+    async close() {
+        await this.#queue;
+        this.#stdin.end();
+        let exitCode = await this.#exit;
+        let stdout = this.#stdout + this.#stdoutDecoder.end();
+        this.#stdout = '';
+        return { exitCode, stdout, stderr: this.#takeStderr() + this.#stderrDecoder.end() };
+    }
+    /**
+     * Kill the program and everything it started right away.
+     */
+    kill() {
+        this.#abortController.abort();
+    }
+    #takeStderr() {
+        let stderr = this.#stderr;
+        this.#stderr = '';
+        return stderr;
+    }
+    #waitForPrompt(command) {
+        if (this.#failure)
+            return Promise.reject(this.#failure);
+        return new Promise((resolve, reject) => {
+            let timer = this.#timeout == null ? null : setTimeout(() => {
+                const on = command ? ` on "${command}"` : ' before the first prompt';
+                this.#fail(new SessionError(`timed out after ${this.#timeout / 1000} seconds${on}`, true));
+                // Whatever it prints next can't be matched up with commands
+                this.kill();
+            }, this.#timeout);
+            this.#current = {
+                command,
+                resolve: (stdout) => { clearTimeout(timer); resolve(stdout); },
+                reject: (err) => { clearTimeout(timer); reject(err); },
+            };
+            this.#lookForPrompt();
+        });
+    }
+    #lookForPrompt() {
+        if (!this.#current)
+            return;
+        let match = findPrompt(this.#stdout, this.#prompt);
+        if (!match)
+            return;
+        let stdout = this.#stdout.slice(0, match.index);
+        this.#stdout = this.#stdout.slice(match.index + match.length);
+        let { resolve } = this.#current;
+        this.#current = null;
+        resolve(stdout);
+    }
+    #fail(err) {
+        this.#failure ??= err;
+        if (this.#current) {
+            let { reject } = this.#current;
+            this.#current = null;
+            reject(this.#failure);
+        }
+    }
+}
+exports.ShellSession = ShellSession;
+function findPrompt(text, prompt) {
+    if (typeof prompt === 'string') {
+        let index = text.indexOf(prompt);
+        return index < 0 ? null : { index, length: prompt.length };
+    }
+    let match = prompt.exec(text);
+    return match && { index: match.index, length: match[0].length };
+}
 function copyEnvAndRemoveUndefined(o) {
     let copy = {};
     for (let key in o) {